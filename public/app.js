@@ -10,8 +10,20 @@
 const MESSAGE_TIMEOUT = 6000
 const IMAGE_REGEX = /<img[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi
 const STYLE_REGEX = /background-image\s*:\s*url\s*\(\s*["']?([^"')]+)["']?\s*\)/gi
-const EMAIL_SEPARATORS = /[\n,;]+/
 const EXCLUDED_IMAGE_PREFIXES = ['data:', 'http', '//']
+const REPORT_LIST_LIMIT = 200
+
+// Same limits as the server (src/utils/messageSize.js)
+const MAX_MESSAGE_SIZE = 30 * 1024 * 1024
+const GMAIL_CLIP_SIZE = 102 * 1024
+const SIZE_WARNING_RATIO = 0.8
+
+// A/B test variants, as named by the server
+const AB_VARIANTS = ['A', 'B', 'C']
+
+// CSV import choices (src/shared/csvImport.js)
+const CSV_DELIMITER_NAMES = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' }
+const CSV_ROLE_NAMES = { email: 'Email', name: 'Name', field: 'Merge field', ignore: 'Ignore' }
 
 // ============================================
 // DOM Elements Cache
@@ -25,10 +37,27 @@ const els = {
   recipientsText: document.getElementById('recipientsText'),
   recipientsFile: document.getElementById('recipientsFile'),
   recipientCount: document.getElementById('recipientCount'),
+  dedupeProviderRules: document.getElementById('dedupeProviderRules'),
   csvPreview: document.getElementById('csvPreview'),
-  
-  // Subject
+  csvMapping: document.getElementById('csvMapping'),
+  csvDelimiter: document.getElementById('csvDelimiter'),
+  csvHasHeader: document.getElementById('csvHasHeader'),
+  csvColumns: document.getElementById('csvColumns'),
+  csvRejected: document.getElementById('csvRejected'),
+  contactLists: document.getElementById('contactLists'),
+  newListName: document.getElementById('newListName'),
+  saveListBtn: document.getElementById('saveListBtn'),
+  
+  // Sender & Subject
+  senderSelect: document.getElementById('senderSelect'),
+  senderInfo: document.getElementById('senderInfo'),
   subject: document.getElementById('subject'),
+  replyTo: document.getElementById('replyTo'),
+  cc: document.getElementById('cc'),
+  bcc: document.getElementById('bcc'),
+  customHeaders: document.getElementById('customHeaders'),
+  campaign: document.getElementById('campaign'),
+  labels: document.getElementById('labels'),
   
   // Templates
   templateSelect: document.getElementById('templateSelect'),
@@ -43,23 +72,59 @@ const els = {
   
   // HTML Content
   htmlContent: document.getElementById('htmlContent'),
+  textContent: document.getElementById('textContent'),
   extractedImages: document.getElementById('extractedImages'),
+  htmlBudget: document.getElementById('htmlBudget'),
   
   // Attachments
   attachments: document.getElementById('attachments'),
   fileList: document.getElementById('fileList'),
+  messageBudget: document.getElementById('messageBudget'),
+  
+  // Schedule
+  scheduledAt: document.getElementById('scheduledAt'),
+  scheduledList: document.getElementById('scheduledList'),
+  
+  // A/B Test
+  abEnabled: document.getElementById('abEnabled'),
+  abFields: document.getElementById('abFields'),
+  abTestPercent: document.getElementById('abTestPercent'),
   
   // Actions
   sendBtn: document.getElementById('sendBtn'),
   sendBtnText: document.getElementById('sendBtnText'),
   sendBtnLoader: document.getElementById('sendBtnLoader'),
   previewBtn: document.getElementById('previewBtnBottom'),
+  validateBtn: document.getElementById('validateBtn'),
   
   // Modal
   previewModal: document.getElementById('previewModal'),
   closePreview: document.getElementById('closePreview'),
   previewFrame: document.getElementById('previewFrame'),
   
+  // Validation
+  validateModal: document.getElementById('validateModal'),
+  closeValidate: document.getElementById('closeValidate'),
+  validateSummary: document.getElementById('validateSummary'),
+  validateReport: document.getElementById('validateReport'),
+  
+  // Progress
+  progressModal: document.getElementById('progressModal'),
+  closeProgress: document.getElementById('closeProgress'),
+  progressStatus: document.getElementById('progressStatus'),
+  progressFill: document.getElementById('progressFill'),
+  progressSent: document.getElementById('progressSent'),
+  progressFailed: document.getElementById('progressFailed'),
+  progressRemaining: document.getElementById('progressRemaining'),
+  progressErrors: document.getElementById('progressErrors'),
+  pauseSendBtn: document.getElementById('pauseSendBtn'),
+  cancelSendBtn: document.getElementById('cancelSendBtn'),
+  abResults: document.getElementById('abResults'),
+  abResultsTable: document.getElementById('abResultsTable'),
+  abWinnerButtons: document.getElementById('abWinnerButtons'),
+  abAutoWinnerBtn: document.getElementById('abAutoWinnerBtn'),
+  abRefreshBtn: document.getElementById('abRefreshBtn'),
+  
   // Messages
   message: document.getElementById('message'),
   
@@ -70,7 +135,9 @@ const els = {
   clearLocalTemplateFile: document.getElementById('clearLocalTemplateFile'),
   clearImagesFolder: document.getElementById('clearImagesFolder'),
   clearHtmlContent: document.getElementById('clearHtmlContent'),
+  clearTextContent: document.getElementById('clearTextContent'),
   clearAttachments: document.getElementById('clearAttachments'),
+  clearScheduledAt: document.getElementById('clearScheduledAt'),
 }
 
 // ============================================
@@ -80,8 +147,21 @@ const els = {
 const state = {
   selectedAttachments: [],
   csvRecipientsLoaded: [],
+  // Uploaded CSV text, the choices made in the column mapping and the last import
+  csvText: '',
+  csvOptions: {},
+  csvImport: null,
+  // Saved lists, and the addresses (suppressed ones left out) of the ticked ones by list id
+  contactLists: [],
+  selectedLists: {},
   selectedTemplateImages: [],
   requiredImages: [],
+  progressSource: null,
+  progressJob: null,
+  senders: [],
+  templateName: null,
+  // One per compose session, so a resubmitted send is not sent twice
+  idempotencyKey: crypto.randomUUID(),
 }
 
 // ============================================
@@ -105,37 +185,33 @@ function showMessage(text, type) {
 }
 
 /**
- * Extract unique emails from a list
- * @param {string[]} list - Array of email strings
- * @returns {string[]} Array of unique emails
+ * Extract unique emails from a list, the way the server deduplicates them
+ * (src/shared/emailAddress.js): display names removed, case ignored and,
+ * when ticked, Gmail dots and plus tags too
+ * @param {string[]} list - Array of email strings, with or without display names
+ * @returns {string[]} Array of unique, normalized emails
  */
 function uniqEmails(list) {
-  const seen = new Set()
-  const result = []
+  const emails = list
+    .map(email => EmailAddress.normalizeAddress(email || ''))
+    .filter(Boolean)
   
-  for (const email of list) {
-    const trimmed = (email || '').trim()
-    if (!trimmed) continue
-    
-    const key = trimmed.toLowerCase()
-    if (seen.has(key)) continue
-    
-    seen.add(key)
-    result.push(trimmed)
-  }
-  
-  return result
+  return EmailAddress.dedupeAddresses(emails, { providerRules: els.dedupeProviderRules.checked }).unique
 }
 
 /**
  * Update recipient count display
  */
 function updateRecipientCount() {
-  const manualEmails = uniqEmails((els.recipientsText.value || '').split(EMAIL_SEPARATORS))
-  const csvCount = state.csvRecipientsLoaded.length
-  const total = manualEmails.length + csvCount
-  
-  els.recipientCount.textContent = total ? `${total} recipient${total === 1 ? '' : 's'}` : ''
+  // Lists, manual and CSV recipients are sent as one list, so duplicates across them count once
+  const emails = uniqEmails(Object.values(state.selectedLists).flat()
+    .concat(EmailAddress.splitAddressList(els.recipientsText.value), state.csvRecipientsLoaded))
+  const total = emails.length
+  const invalid = emails.filter(email => !EmailAddress.isValidAddress(email)).length
+  
+  els.recipientCount.textContent = total
+    ? `${total} recipient${total === 1 ? '' : 's'}${invalid ? ` (${invalid} invalid)` : ''}`
+    : ''
   els.recipientCount.style.display = total ? 'inline-flex' : 'none'
 }
 
@@ -168,6 +244,298 @@ function toggleFileInputState(input, hasFile) {
   }
 }
 
+// ============================================
+// Sender Identities
+// ============================================
+
+/**
+ * Load sender identities from server
+ */
+async function loadSenders() {
+  if (!els.senderSelect) return
+  
+  try {
+    const response = await fetch('/api/senders')
+    const data = await response.json()
+    
+    state.senders = data.senders || []
+    els.senderSelect.innerHTML = ''
+    
+    state.senders.forEach(sender => {
+      const option = document.createElement('option')
+      option.value = sender.id
+      option.textContent = sender.name ? `${sender.name} <${sender.email}>` : sender.email
+      els.senderSelect.appendChild(option)
+    })
+    
+    updateSenderInfo()
+  } catch (error) {
+    console.error('Failed to load senders:', error)
+  }
+}
+
+/**
+ * Show the selected sender's defaults (Reply-To, signature)
+ */
+function updateSenderInfo() {
+  const sender = state.senders.find(s => s.id === els.senderSelect.value)
+  const notes = []
+  
+  if (sender?.replyTo) {
+    notes.push(`Replies go to ${sender.replyTo} unless Reply-To is set below`)
+  }
+  if (sender?.signature) {
+    notes.push('Signature is added to the end of the email')
+  }
+  
+  els.senderInfo.textContent = notes.join(' · ')
+  els.replyTo.placeholder = sender?.replyTo || 'support@example.com'
+}
+
+// ============================================
+// CSV Import
+// ============================================
+
+/**
+ * Import the uploaded CSV with the current mapping choices and show the result
+ */
+function runCsvImport() {
+  const result = CsvImport.importCSV(state.csvText, state.csvOptions)
+  if (result.error) {
+    els.csvPreview.textContent = `✗ ${result.error}`
+    els.csvPreview.className = 'info-box error'
+    return
+  }
+  
+  state.csvImport = result
+  state.csvRecipientsLoaded = uniqEmails(result.recipients.map(recipient => recipient.email))
+  
+  const count = state.csvRecipientsLoaded.length
+  const rejected = result.rejected.length
+  els.csvPreview.textContent = count
+    ? `✓ Loaded ${count} email${count === 1 ? '' : 's'} from ${els.recipientsFile.files?.[0]?.name || 'file'}${rejected ? `; ${rejected} row${rejected === 1 ? '' : 's'} rejected` : ''}`
+    : '✗ No valid emails found in file'
+  els.csvPreview.className = count ? 'info-box success' : 'info-box error'
+  
+  renderCsvMapping(result)
+  updateRecipientCount()
+}
+
+/**
+ * Show the detected format, a role picker per column and the rejected rows
+ * @param {Object} result - Result of CsvImport.importCSV
+ */
+function renderCsvMapping(result) {
+  els.csvDelimiter.replaceChildren(...CsvImport.DELIMITERS.map(delimiter => new Option(CSV_DELIMITER_NAMES[delimiter], delimiter)))
+  els.csvDelimiter.value = result.delimiter
+  els.csvHasHeader.checked = result.hasHeader
+  
+  const table = document.createElement('table')
+  const header = table.insertRow()
+  ;['Column', 'Example', 'Use as'].forEach(title => {
+    const th = document.createElement('th')
+    th.textContent = title
+    header.appendChild(th)
+  })
+  result.columns.forEach(column => {
+    const row = table.insertRow()
+    row.insertCell().textContent = column.header || `Column ${column.index + 1}`
+    
+    const sample = row.insertCell()
+    sample.className = 'csv-sample'
+    sample.textContent = column.sample
+    
+    const select = document.createElement('select')
+    select.dataset.index = column.index
+    CsvImport.ROLES.forEach(role => {
+      select.add(new Option(role === 'field' ? `${CSV_ROLE_NAMES[role]} {{${column.field}}}` : CSV_ROLE_NAMES[role], role))
+    })
+    select.value = column.role
+    row.insertCell().appendChild(select)
+  })
+  els.csvColumns.replaceChildren(table)
+  
+  els.csvRejected.replaceChildren()
+  if (result.rejected.length > 0) {
+    els.csvRejected.appendChild(buildReportSection(
+      `Rejected rows (${result.rejected.length})`,
+      result.rejected.map(row => `Line ${row.line}: ${row.reason}${row.value ? ` (${row.value})` : ''}`),
+      'warning'
+    ))
+  }
+  
+  els.csvMapping.style.display = 'block'
+}
+
+/**
+ * Change the role of one column and import again
+ * @param {HTMLSelectElement} select - Role picker of the column
+ */
+function changeCsvColumnRole(select) {
+  const columns = state.csvImport.columns.map(column => ({ role: column.role, field: column.field }))
+  const index = Number(select.dataset.index)
+  
+  // Only one email column: the previous one becomes a merge field
+  if (select.value === 'email') {
+    columns.forEach(column => {
+      if (column.role === 'email') column.role = 'field'
+    })
+  }
+  columns[index].role = select.value
+  
+  if (!columns.some(column => column.role === 'email')) {
+    showMessage('One column must hold the email addresses', 'error')
+    select.value = state.csvImport.columns[index].role
+    return
+  }
+  
+  state.csvOptions = { delimiter: state.csvImport.delimiter, hasHeader: state.csvImport.hasHeader, columns }
+  runCsvImport()
+}
+
+/**
+ * Forget the uploaded CSV
+ */
+function resetCsvImport() {
+  state.csvText = ''
+  state.csvOptions = {}
+  state.csvImport = null
+  state.csvRecipientsLoaded = []
+  els.csvPreview.textContent = ''
+  els.csvPreview.className = 'info-box'
+  els.csvMapping.style.display = 'none'
+}
+
+// ============================================
+// Contact Lists
+// ============================================
+
+/**
+ * Load saved contact lists from server
+ */
+async function loadContactLists() {
+  if (!els.contactLists) return
+  
+  try {
+    const response = await fetch('/api/lists')
+    const data = await response.json()
+    state.contactLists = data.lists || []
+    renderContactLists()
+  } catch (error) {
+    console.error('Failed to load contact lists:', error)
+  }
+}
+
+/**
+ * Render the saved lists with a checkbox each
+ */
+function renderContactLists() {
+  els.contactLists.innerHTML = ''
+  
+  // A list deleted elsewhere can no longer be sent to
+  Object.keys(state.selectedLists)
+    .filter(id => !state.contactLists.some(list => list.id === id))
+    .forEach(id => delete state.selectedLists[id])
+  updateRecipientCount()
+  
+  if (state.contactLists.length === 0) {
+    els.contactLists.innerHTML = '<div class="no-files">No saved lists</div>'
+    return
+  }
+  
+  state.contactLists.forEach(list => {
+    const item = document.createElement('label')
+    item.className = 'file-item'
+    
+    const checkbox = document.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.checked = list.id in state.selectedLists
+    checkbox.addEventListener('change', () => toggleContactList(list, checkbox.checked))
+    
+    const name = document.createElement('span')
+    name.className = 'file-name'
+    name.textContent = list.name
+    name.title = list.description || ''
+    
+    const count = document.createElement('span')
+    count.className = 'file-size'
+    count.textContent = `${list.contactCount} contact${list.contactCount === 1 ? '' : 's'}`
+    
+    item.append(checkbox, name, count)
+    els.contactLists.appendChild(item)
+  })
+}
+
+/**
+ * Tick or untick a list; ticking loads its addresses for the recipient count
+ * @param {Object} list - List summary
+ * @param {boolean} selected - Whether the list is ticked
+ */
+async function toggleContactList(list, selected) {
+  if (!selected) {
+    delete state.selectedLists[list.id]
+    updateRecipientCount()
+    return
+  }
+  
+  state.selectedLists[list.id] = []
+  try {
+    const response = await fetch(`/api/lists/${encodeURIComponent(list.id)}`)
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error)
+    
+    // Unless it was unticked in the meantime
+    if (list.id in state.selectedLists) {
+      state.selectedLists[list.id] = data.list.contacts.filter(contact => !contact.suppressed).map(contact => contact.email)
+    }
+  } catch (error) {
+    showMessage(`Failed to load the list "${list.name}"`, 'error')
+    loadContactLists()
+  }
+  updateRecipientCount()
+}
+
+/**
+ * Save the manual and CSV recipients as a new list
+ */
+async function saveRecipientsAsList() {
+  const name = els.newListName.value.trim()
+  if (!name) {
+    showMessage('Enter a name for the list', 'error')
+    els.newListName.focus()
+    return
+  }
+  
+  const contacts = [
+    ...EmailAddress.splitAddressList(els.recipientsText.value),
+    ...(state.csvImport?.recipients || []).map(recipient => ({ email: recipient.email, attributes: recipient.data })),
+  ]
+  if (contacts.length === 0) {
+    showMessage('Add recipients under Manual Entry or Upload CSV first', 'error')
+    return
+  }
+  
+  try {
+    const response = await fetch('/api/lists', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, contacts, source: 'dashboard' }),
+    })
+    const data = await response.json()
+    
+    if (response.ok) {
+      const { added, invalid } = data.contacts
+      showMessage(`Saved ${added.length} contact${added.length === 1 ? '' : 's'} to "${data.list.name}"${invalid.length ? `; ${invalid.length} invalid address${invalid.length === 1 ? '' : 'es'} skipped` : ''}`, 'success')
+      els.newListName.value = ''
+      loadContactLists()
+    } else {
+      showMessage(data.error || 'Failed to save list', 'error')
+    }
+  } catch (error) {
+    showMessage('Failed to save list', 'error')
+  }
+}
+
 // ============================================
 // Template Management
 // ============================================
@@ -196,28 +564,6 @@ async function loadTemplates() {
   }
 }
 
-/**
- * Parse CSV file and extract emails
- * @param {string} text - CSV file content
- * @returns {string[]} Array of email addresses
- */
-function parseCSV(text) {
-  const lines = text.split('\n')
-  const emails = []
-  
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed || !trimmed.includes('@')) continue
-    
-    const match = trimmed.match(/"([^"]+)"/) || trimmed.match(/([^\s,;]+@[^\s,;]+)/)
-    if (match) {
-      emails.push((match[1] || match[0]).trim())
-    }
-  }
-  
-  return uniqEmails(emails)
-}
-
 /**
  * Load HTML content and extract image references
  * @param {string} htmlContent - HTML content string
@@ -294,6 +640,8 @@ function extractFilename(path) {
  * Update image matching status display
  */
 function updateImageMatchingStatus() {
+  updateSizeBudget()
+  
   const statusContainer = document.getElementById('imageMatchingStatus')
   if (!statusContainer) return
   
@@ -395,6 +743,7 @@ async function embedImagesIntoHtml() {
   }
   
   els.htmlContent.value = modified
+  updateSizeBudget()
   return embedded
 }
 
@@ -437,6 +786,76 @@ function replaceImageReference(html, reference, dataUrl) {
   return html
 }
 
+// ============================================
+// Size Budget
+// ============================================
+
+/**
+ * Size of a file once base64 encoded for sending (76-character lines)
+ * @param {number} bytes - File size
+ * @returns {number} Encoded size
+ */
+function encodedSize(bytes) {
+  const encoded = Math.ceil(bytes / 3) * 4
+  return encoded + Math.ceil(encoded / 76) * 2
+}
+
+/**
+ * Show the HTML size against Gmail's clipping threshold and the whole
+ * message against SendGrid's size limit
+ */
+function updateSizeBudget() {
+  const htmlSize = new Blob([els.htmlContent.value || '']).size
+  const textSize = new Blob([els.textContent.value || '']).size
+  
+  // Uploaded template images are only sent when the HTML references them
+  const fileMap = createFileMap(state.selectedTemplateImages)
+  const inlineImages = new Set(state.requiredImages
+    .map(img => fileMap.get(img.filename.toLowerCase()))
+    .filter(Boolean))
+  const files = [...state.selectedAttachments, ...inlineImages]
+  const attachmentSize = files.reduce((sum, file) => sum + encodedSize(file.size), 0)
+  const total = htmlSize + textSize + attachmentSize
+  
+  renderSizeBudget(els.htmlBudget, htmlSize, GMAIL_CLIP_SIZE, 'HTML size',
+    htmlSize > GMAIL_CLIP_SIZE
+      ? 'Gmail will clip this message and hide the rest behind a "View entire message" link'
+      : 'Gmail clips HTML larger than 102 KB')
+  renderSizeBudget(els.messageBudget, files.length ? total : 0, MAX_MESSAGE_SIZE, 'Message size',
+    total > MAX_MESSAGE_SIZE
+      ? 'Too large to send: remove or shrink attachments'
+      : `HTML, text and ${files.length} file${files.length === 1 ? '' : 's'}, encoded for sending`)
+}
+
+/**
+ * Render one size budget bar
+ * @param {HTMLElement} container - Budget element
+ * @param {number} size - Current size in bytes (0 hides the budget)
+ * @param {number} limit - Limit in bytes
+ * @param {string} label - Budget name
+ * @param {string} hint - Explanation under the bar
+ */
+function renderSizeBudget(container, size, limit, label, hint) {
+  if (!container) return
+  
+  if (!size) {
+    container.innerHTML = ''
+    container.className = 'size-budget'
+    return
+  }
+  
+  const ratio = size / limit
+  container.className = `size-budget ${ratio > 1 ? 'error' : ratio > SIZE_WARNING_RATIO ? 'warning' : ''}`.trim()
+  container.innerHTML = `
+    <div class="size-budget-label">
+      <span>${label}</span>
+      <span>${formatFileSize(size)} of ${formatFileSize(limit)}</span>
+    </div>
+    <div class="size-budget-bar"><div class="size-budget-fill" style="width: ${Math.min(100, ratio * 100).toFixed(1)}%"></div></div>
+    <small>${hint}</small>
+  `
+}
+
 // ============================================
 // Attachments Management
 // ============================================
@@ -445,6 +864,7 @@ function replaceImageReference(html, reference, dataUrl) {
  * Update attachments UI display
  */
 function updateAttachmentsUI() {
+  updateSizeBudget()
   els.fileList.innerHTML = ''
   
   if (state.selectedAttachments.length === 0) {
@@ -485,6 +905,7 @@ function setupTabs() {
   setupTabGroup('section.step-card:nth-of-type(1)', {
     manual: 'manualTab',
     csv: 'csvTab',
+    lists: 'listsTab',
   })
   
   // Template tabs
@@ -551,6 +972,482 @@ function closePreview() {
   document.body.style.overflow = ''
 }
 
+// ============================================
+// Validation Report
+// ============================================
+
+/**
+ * Ask the server for the send plan (dry run) and show it
+ */
+async function validateSend() {
+  const validation = validateForm()
+  if (!validation.isValid) {
+    showMessage(validation.message, 'error')
+    validation.focus?.focus()
+    return
+  }
+  
+  const formData = prepareFormData()
+  formData.append('dryRun', 'true')
+  
+  els.validateBtn.disabled = true
+  
+  try {
+    const response = await fetch('/api/send-email', {
+      method: 'POST',
+      body: formData,
+    })
+    
+    const data = await response.json()
+    
+    if (response.ok && data.dryRun) {
+      renderValidationReport(data)
+    } else {
+      showMessage(data.error && data.details ? `${data.error}: ${data.details}` : data.error || 'Validation failed', 'error')
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message || 'Validation failed'}`, 'error')
+  } finally {
+    els.validateBtn.disabled = false
+  }
+}
+
+/**
+ * Render the send plan returned by a dry run
+ * @param {Object} plan - Dry-run response from /api/send-email
+ */
+function renderValidationReport(plan) {
+  const total = plan.recipients.length
+  els.validateSummary.textContent = plan.ready
+    ? `Ready to send to ${total} recipient${total === 1 ? '' : 's'}${plan.scheduledAt ? ` at ${new Date(plan.scheduledAt).toLocaleString()}` : ''}`
+    : 'Fix the problems below before sending'
+  els.validateReport.innerHTML = ''
+  
+  const missingFields = plan.missingMergeFields.map(field =>
+    `{{${field.tag}}} is missing for ${field.count} recipient${field.count === 1 ? '' : 's'}: ${field.recipients.join(', ')}`)
+  
+  const invalidAddresses = plan.addressReview.filter(check => !check.valid).map(check => `${check.email}: ${check.reason}`)
+  const typos = plan.addressReview.filter(check => check.suggestion).map(check => `${check.email}: did you mean ${check.suggestion}?`)
+  const roleAccounts = plan.addressReview.filter(check => check.role).map(check => check.email)
+  const disposable = plan.addressReview.filter(check => check.disposable).map(check => check.email)
+  
+  const csvRejected = (plan.csvImport?.rejected || []).map(row => `Line ${row.line}: ${row.reason}${row.value ? ` (${row.value})` : ''}`)
+  
+  const typeWarnings = plan.attachments.filter(att => att.typeWarning).map(att => att.typeWarning)
+  
+  const abTest = plan.abTest
+    ? [
+      ...plan.abTest.variants.map(variant => `Variant ${variant.id}: "${variant.subject}" to ${variant.recipients} recipient${variant.recipients === 1 ? '' : 's'}`),
+      `Held back for the winner: ${plan.abTest.heldBack}`,
+    ]
+    : []
+  
+  const duplicate = plan.duplicateOf
+    ? [`Same recipients, subject and HTML as a send ${plan.duplicateOf.ago} (${plan.duplicateOf.status}); sending will ask for confirmation`]
+    : []
+  
+  const envelope = [
+    `From: ${plan.sender.name ? `${plan.sender.name} <${plan.sender.email}>` : plan.sender.email}`,
+    plan.replyTo && `Reply-To: ${plan.replyTo}`,
+    plan.cc.length && `CC: ${plan.cc.join(', ')}`,
+    plan.bcc.length && `BCC: ${plan.bcc.join(', ')}`,
+    ...Object.entries(plan.headers).map(([name, value]) => `${name}: ${value}`),
+  ].filter(Boolean)
+  
+  const sections = [
+    { title: 'Headers', items: envelope },
+    { title: `Tags (${plan.categories.length})`, items: plan.categories },
+    { title: `Saved lists (${plan.lists.length})`, items: plan.lists.map(list => `${list.name}: ${list.contacts} contact${list.contacts === 1 ? '' : 's'}${list.suppressed ? `, ${list.suppressed} suppressed` : ''}`) },
+    { title: `Recipients (${total})`, items: plan.recipients.map(r => r.email), type: total ? '' : 'error', always: true },
+    { title: `Invalid addresses (${invalidAddresses.length})`, items: invalidAddresses, type: 'warning' },
+    { title: `Possible typos (${typos.length})`, items: typos, type: 'warning' },
+    { title: `Role accounts (${roleAccounts.length})`, items: roleAccounts },
+    { title: `Disposable addresses (${disposable.length})`, items: disposable },
+    { title: `Duplicates removed (${plan.duplicates.length})`, items: plan.duplicates, type: 'warning' },
+    { title: `Rejected CSV rows (${csvRejected.length})`, items: csvRejected, type: 'warning' },
+    { title: `Suppressed (${plan.suppressed.length})`, items: plan.suppressed, type: 'warning' },
+    { title: 'Possible duplicate', items: duplicate, type: 'warning' },
+    { title: `A/B test (${plan.abTest?.testPercent}% of recipients)`, items: abTest },
+    { title: `Missing merge fields (${missingFields.length})`, items: missingFields, type: 'error' },
+    { title: `Matched images (${plan.images.matched.length})`, items: plan.images.matched.map(img => `${img.src} → ${img.filename}`) },
+    { title: `Unmatched images (${plan.images.unmatched.length})`, items: plan.images.unmatched, type: 'warning' },
+    { title: `Attachments (${plan.attachments.length})`, items: plan.attachments.map(att => `${att.filename} (${att.contentType}, ${formatFileSize(att.size)}${att.cid ? ', inline' : ''})`) },
+    { title: `Extension does not match content (${typeWarnings.length})`, items: typeWarnings, type: 'warning' },
+  ]
+  
+  sections
+    .filter(section => section.always || section.items.length > 0)
+    .forEach(section => els.validateReport.appendChild(buildReportSection(section.title, section.items, section.type)))
+  
+  const sizeNotes = [
+    plan.size.overLimit && `Over the ${formatFileSize(plan.size.limit)} limit: the send will be rejected`,
+    plan.size.htmlClipped && `HTML is over ${formatFileSize(plan.size.gmailClipLimit)}: Gmail will clip the message`,
+  ].filter(Boolean)
+  
+  els.validateReport.appendChild(buildReportSection('Message size', [
+    ...sizeNotes,
+    `HTML: ${formatFileSize(plan.size.html)}`,
+    `Plain text: ${formatFileSize(plan.size.text)}`,
+    ...plan.size.items.map(item => `${item.filename}: ${formatFileSize(item.encodedSize)} encoded`),
+    `Total per message: ${formatFileSize(plan.size.total)} of ${formatFileSize(plan.size.limit)}`,
+  ], plan.size.overLimit ? 'error' : plan.size.htmlClipped ? 'warning' : ''))
+  
+  const textSection = buildReportSection(plan.textGenerated ? 'Plain text (generated)' : 'Plain text', [])
+  const text = document.createElement('pre')
+  text.className = 'report-html'
+  text.textContent = plan.text
+  textSection.appendChild(text)
+  els.validateReport.appendChild(textSection)
+  
+  const htmlSection = buildReportSection('Final HTML', [])
+  const html = document.createElement('pre')
+  html.className = 'report-html'
+  html.textContent = plan.html
+  htmlSection.appendChild(html)
+  els.validateReport.appendChild(htmlSection)
+  
+  els.validateModal.style.display = 'block'
+  document.body.style.overflow = 'hidden'
+}
+
+/**
+ * Build one section of the validation report
+ * @param {string} title - Section heading
+ * @param {string[]} items - List entries
+ * @param {string} type - Optional highlight: 'warning' or 'error'
+ * @returns {HTMLElement} Section element
+ */
+function buildReportSection(title, items, type = '') {
+  const section = document.createElement('div')
+  section.className = `report-section ${type}`.trim()
+  
+  const heading = document.createElement('h3')
+  heading.textContent = title
+  section.appendChild(heading)
+  
+  if (items.length > 0) {
+    const list = document.createElement('ul')
+    list.className = 'report-list'
+    items.slice(0, REPORT_LIST_LIMIT).forEach(item => {
+      const li = document.createElement('li')
+      li.textContent = item
+      list.appendChild(li)
+    })
+    if (items.length > REPORT_LIST_LIMIT) {
+      const more = document.createElement('li')
+      more.textContent = `...and ${items.length - REPORT_LIST_LIMIT} more`
+      list.appendChild(more)
+    }
+    section.appendChild(list)
+  }
+  
+  return section
+}
+
+/**
+ * Close validation modal
+ */
+function closeValidate() {
+  els.validateModal.style.display = 'none'
+  document.body.style.overflow = ''
+}
+
+// ============================================
+// Scheduled Sends
+// ============================================
+
+/**
+ * Load pending scheduled sends from server
+ */
+async function loadScheduledSends() {
+  if (!els.scheduledList) return
+  
+  try {
+    const response = await fetch('/api/scheduled')
+    const data = await response.json()
+    renderScheduledSends(data.scheduled || [])
+  } catch (error) {
+    console.error('Failed to load scheduled sends:', error)
+  }
+}
+
+/**
+ * Render scheduled sends list
+ * @param {Object[]} scheduled - Scheduled job summaries
+ */
+function renderScheduledSends(scheduled) {
+  els.scheduledList.innerHTML = ''
+  
+  if (scheduled.length === 0) {
+    els.scheduledList.innerHTML = '<div class="no-files">No scheduled sends</div>'
+    return
+  }
+  
+  scheduled.forEach(job => {
+    const item = document.createElement('div')
+    item.className = 'file-item'
+    
+    const name = document.createElement('span')
+    name.className = 'file-name'
+    name.textContent = `${new Date(job.scheduledAt).toLocaleString()} — ${job.subject}`
+    
+    const count = document.createElement('span')
+    count.className = 'file-size'
+    count.textContent = `${job.counts.total} recipient${job.counts.total === 1 ? '' : 's'}`
+    
+    const cancel = document.createElement('button')
+    cancel.type = 'button'
+    cancel.className = 'remove-file'
+    cancel.title = 'Cancel scheduled send'
+    cancel.textContent = '×'
+    cancel.addEventListener('click', () => cancelScheduledSend(job))
+    
+    item.append(name, count, cancel)
+    els.scheduledList.appendChild(item)
+  })
+}
+
+/**
+ * Cancel a scheduled send after confirmation
+ * @param {Object} job - Scheduled job summary
+ */
+async function cancelScheduledSend(job) {
+  if (!confirm(`Cancel the send "${job.subject}" scheduled for ${new Date(job.scheduledAt).toLocaleString()}?`)) {
+    return
+  }
+  
+  try {
+    const response = await fetch(`/api/scheduled/${encodeURIComponent(job.id)}`, { method: 'DELETE' })
+    const data = await response.json()
+    
+    if (response.ok) {
+      showMessage('Scheduled send cancelled', 'success')
+    } else {
+      showMessage(data.error || 'Failed to cancel scheduled send', 'error')
+    }
+  } catch (error) {
+    showMessage('Failed to cancel scheduled send', 'error')
+  } finally {
+    loadScheduledSends()
+  }
+}
+
+// ============================================
+// Send Progress
+// ============================================
+
+/**
+ * Open the progress modal and stream progress for a send job
+ * @param {string} jobId - Job id returned by /api/send-email
+ */
+function showProgress(jobId) {
+  closeProgressStream()
+  
+  state.progressJob = { id: jobId, status: 'queued' }
+  els.progressErrors.innerHTML = ''
+  els.progressStatus.textContent = 'Queued...'
+  updateProgress({ status: 'queued', counts: { total: 0, sent: 0, failed: 0, skipped: 0 }, failures: [] })
+  els.progressModal.style.display = 'block'
+  document.body.style.overflow = 'hidden'
+  
+  const source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events`)
+  state.progressSource = source
+  let firstEvent = true
+  
+  source.onmessage = e => {
+    const event = JSON.parse(e.data)
+    
+    // Each (re)connect starts with a snapshot holding every failure so far
+    if (firstEvent) {
+      els.progressErrors.innerHTML = ''
+      firstEvent = false
+    }
+    updateProgress(event)
+    
+    if (event.finished) {
+      closeProgressStream()
+      const { sent, failed, skipped } = event.counts
+      if (event.status === 'cancelled') {
+        showMessage(`Send cancelled: ${sent} sent, ${failed} failed, ${skipped} never attempted`, 'error')
+      } else {
+        showMessage(
+          failed > 0 ? `Emails sent to ${sent} recipients, ${failed} failed` : `Emails sent to ${sent} recipients`,
+          sent > 0 ? 'success' : 'error'
+        )
+      }
+    }
+  }
+  
+  // EventSource reconnects by itself; start from a fresh snapshot
+  source.onerror = () => {
+    firstEvent = true
+  }
+}
+
+/**
+ * Render a progress event
+ * @param {Object} event - Progress event ({ status, counts, failures })
+ */
+function updateProgress(event) {
+  const { total, sent, failed, skipped = 0 } = event.counts
+  const done = sent + failed
+  const percent = total ? Math.round(done / total * 100) : 0
+  
+  els.progressFill.style.width = `${percent}%`
+  els.progressSent.textContent = sent
+  els.progressFailed.textContent = failed
+  els.progressRemaining.textContent = Math.max(total - done - skipped, 0)
+  
+  const labels = {
+    queued: 'Queued...',
+    running: `Sending... ${percent}%`,
+    paused: `Paused at ${percent}%`,
+    awaiting_winner: 'Test sent — pick the winner to send to everyone else',
+    completed: 'Send complete',
+    failed: 'Send failed',
+    cancelled: `Send cancelled — ${skipped} recipient${skipped === 1 ? '' : 's'} never attempted`,
+  }
+  const stopLabels = { pause: 'Pausing after the current batch...', cancel: 'Cancelling after the current batch...' }
+  els.progressStatus.textContent = stopLabels[event.stopRequested] || labels[event.status] || event.status
+  
+  if (state.progressJob) {
+    state.progressJob.status = event.status
+  }
+  els.pauseSendBtn.textContent = event.status === 'paused' ? '▶ Resume' : '⏸ Pause'
+  els.pauseSendBtn.disabled = !!event.finished || !!event.stopRequested || event.status === 'awaiting_winner'
+  
+  if (event.status === 'awaiting_winner') {
+    loadAbResults()
+  } else {
+    els.abResults.style.display = 'none'
+  }
+  els.cancelSendBtn.disabled = !!event.finished || event.stopRequested === 'cancel'
+  
+  event.failures.forEach(failure => {
+    const item = document.createElement('div')
+    item.className = 'progress-error-item'
+    
+    const email = document.createElement('span')
+    email.className = 'progress-error-email'
+    email.textContent = failure.email
+    
+    item.appendChild(email)
+    item.appendChild(document.createTextNode(failure.error || 'Unknown error'))
+    els.progressErrors.appendChild(item)
+  })
+}
+
+/**
+ * Show the A/B test results of the job in the progress modal, with a button per
+ * variant to send it to the recipients held back
+ */
+async function loadAbResults() {
+  if (!state.progressJob) return
+  
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(state.progressJob.id)}`)
+    const job = await response.json()
+    if (!response.ok || !job.abTest) return
+    
+    const percent = value => `${Math.round(value * 1000) / 10}%`
+    const table = document.createElement('table')
+    const header = table.insertRow()
+    ;['Variant', 'Subject', 'Sent', 'Opened', 'Clicked'].forEach(title => {
+      const th = document.createElement('th')
+      th.textContent = title
+      header.appendChild(th)
+    })
+    job.abTest.stats.forEach(stats => {
+      const variant = job.abTest.variants.find(v => v.id === stats.id)
+      const row = table.insertRow()
+      ;[stats.id, variant.subject, stats.sent, `${stats.opened} (${percent(stats.openRate)})`, `${stats.clicked} (${percent(stats.clickRate)})`]
+        .forEach(value => { row.insertCell().textContent = value })
+    })
+    els.abResultsTable.replaceChildren(table)
+    
+    els.abWinnerButtons.replaceChildren(...job.abTest.variants.map(variant => {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'btn-secondary'
+      button.textContent = `Send ${variant.id} to the rest`
+      button.addEventListener('click', () => sendAbWinner({ variant: variant.id }, job.counts.held))
+      return button
+    }))
+    els.abResults.style.display = 'block'
+  } catch (error) {
+    showMessage('Failed to load A/B test results', 'error')
+  }
+}
+
+/**
+ * Send the winning variant to the recipients held back from the A/B test
+ * @param {Object} choice - { variant } picked by hand, or { metric: 'auto' }
+ * @param {number} held - Recipients waiting for the winner
+ */
+async function sendAbWinner(choice, held) {
+  if (!state.progressJob) return
+  const what = choice.variant ? `variant ${choice.variant}` : 'the variant with the best click (or open) rate'
+  if (!confirm(`Send ${what} to the remaining ${held} recipient${held === 1 ? '' : 's'}?`)) {
+    return
+  }
+  
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(state.progressJob.id)}/winner`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(choice),
+    })
+    const data = await response.json()
+    
+    if (!response.ok) {
+      showMessage(data.error && data.details ? `${data.error}: ${data.details}` : data.error || 'Failed to send the winner', 'error')
+    }
+  } catch (error) {
+    showMessage('Failed to send the winner', 'error')
+  }
+}
+
+/**
+ * Pause, resume or cancel the job shown in the progress modal
+ * @param {string} action - 'pause', 'resume' or 'cancel'
+ */
+async function controlSend(action) {
+  if (!state.progressJob) return
+  if (action === 'cancel' && !confirm('Cancel this send? Recipients not reached yet will not get the email.')) {
+    return
+  }
+  
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(state.progressJob.id)}/${action}`, { method: 'POST' })
+    const data = await response.json()
+    
+    if (!response.ok) {
+      showMessage(data.error || `Failed to ${action} send`, 'error')
+    }
+  } catch (error) {
+    showMessage(`Failed to ${action} send`, 'error')
+  }
+}
+
+/**
+ * Stop listening for progress events
+ */
+function closeProgressStream() {
+  if (state.progressSource) {
+    state.progressSource.close()
+    state.progressSource = null
+  }
+}
+
+/**
+ * Close progress modal (the send keeps running on the server)
+ */
+function closeProgress() {
+  closeProgressStream()
+  els.progressModal.style.display = 'none'
+  document.body.style.overflow = ''
+}
+
 // ============================================
 // Form Validation
 // ============================================
@@ -572,13 +1469,40 @@ function validateForm() {
     return { isValid: false, message: 'HTML content is required', focus: els.htmlContent }
   }
   
-  if (!recipientsText && state.csvRecipientsLoaded.length === 0) {
+  if (!recipientsText && state.csvRecipientsLoaded.length === 0 && Object.keys(state.selectedLists).length === 0) {
     return { isValid: false, message: 'Please add at least one recipient' }
   }
   
+  if (els.scheduledAt.value && new Date(els.scheduledAt.value).getTime() <= Date.now()) {
+    return { isValid: false, message: 'The scheduled send time must be in the future', focus: els.scheduledAt }
+  }
+  
+  if (els.abEnabled.checked) {
+    if (!collectVariants().some(variant => variant.subject || variant.htmlContent)) {
+      return { isValid: false, message: 'Give at least one A/B variant its own subject or HTML', focus: document.getElementById('abSubjectB') }
+    }
+    const percent = Number(els.abTestPercent.value)
+    if (!(percent > 0 && percent <= 100)) {
+      return { isValid: false, message: 'The A/B test group must be between 1 and 100%', focus: els.abTestPercent }
+    }
+  }
+  
   return { isValid: true }
 }
 
+/**
+ * Read the A/B variants from the form; C only counts when filled in
+ * @returns {Array<{subject: string, htmlContent: string}>} Variants in order
+ */
+function collectVariants() {
+  return AB_VARIANTS
+    .map(id => ({
+      subject: document.getElementById(`abSubject${id}`).value.trim(),
+      htmlContent: document.getElementById(`abHtml${id}`).value.trim(),
+    }))
+    .filter((variant, index) => index < 2 || variant.subject || variant.htmlContent)
+}
+
 /**
  * Prepare form data for submission
  * @returns {FormData} Form data object
@@ -588,16 +1512,67 @@ function prepareFormData() {
   const subject = (els.subject.value || '').trim()
   const html = (els.htmlContent.value || '').trim()
   const recipientsText = (els.recipientsText.value || '').trim()
+  const text = (els.textContent.value || '').trim()
   
+  formData.append('senderId', els.senderSelect.value)
   formData.append('subject', subject)
   formData.append('htmlContent', html)
   
+  // Recorded in the send history
+  if (state.templateName) {
+    formData.append('templateName', state.templateName)
+  }
+  
+  if (text) {
+    formData.append('textContent', text)
+  }
+  
+  const envelope = {
+    replyTo: els.replyTo.value,
+    cc: els.cc.value,
+    bcc: els.bcc.value,
+    headers: els.customHeaders.value,
+    campaign: els.campaign.value,
+    labels: els.labels.value,
+  }
+  Object.entries(envelope).forEach(([name, value]) => {
+    if (value.trim()) {
+      formData.append(name, value.trim())
+    }
+  })
+  
+  if (els.scheduledAt.value) {
+    formData.append('scheduledAt', new Date(els.scheduledAt.value).toISOString())
+  }
+  
+  if (els.abEnabled.checked) {
+    formData.append('variants', JSON.stringify(collectVariants()))
+    formData.append('testPercent', els.abTestPercent.value)
+  }
+  
   if (recipientsText) {
     formData.append('recipientsText', recipientsText)
   }
   
+  const listIds = Object.keys(state.selectedLists)
+  if (listIds.length > 0) {
+    formData.append('listIds', JSON.stringify(listIds))
+  }
+  
+  if (els.dedupeProviderRules.checked) {
+    formData.append('dedupeProviderRules', 'true')
+  }
+  
   if (els.recipientsFile.files?.[0]) {
     formData.append('recipientsFile', els.recipientsFile.files[0])
+    // The server imports the file with the mapping shown in the preview
+    if (state.csvImport?.columns.some(column => column.role === 'email')) {
+      formData.append('csvMapping', JSON.stringify({
+        delimiter: state.csvImport.delimiter,
+        hasHeader: state.csvImport.hasHeader,
+        columns: state.csvImport.columns.map(column => ({ role: column.role, field: column.field })),
+      }))
+    }
   }
   
   if (els.localTemplateFile.files?.[0]) {
@@ -625,6 +1600,22 @@ function updateSendButtonState(isLoading) {
   els.sendBtnLoader.style.display = isLoading ? 'inline-block' : 'none'
 }
 
+/**
+ * Post a send with the compose session's idempotency key
+ * Resubmitting after a timeout returns the first request's result instead of
+ * sending again.
+ * @param {FormData} formData - Send form data
+ * @returns {Promise<{response: Response, data: Object}>} Response and its JSON body
+ */
+async function postSend(formData) {
+  const response = await fetch('/api/send-email', {
+    method: 'POST',
+    headers: { 'Idempotency-Key': state.idempotencyKey },
+    body: formData,
+  })
+  return { response, data: await response.json() }
+}
+
 /**
  * Handle form submission
  */
@@ -642,19 +1633,56 @@ async function handleFormSubmit(e) {
   updateSendButtonState(true)
   
   try {
-    const response = await fetch('/api/send-email', {
-      method: 'POST',
-      body: formData,
-    })
+    let result = await postSend(formData)
     
-    const data = await response.json()
+    // The same message went out recently: send it again only if confirmed
+    const previous = result.response.status === 409 && result.data.duplicateOf
+    if (previous) {
+      if (!confirm(`This looks like a send you did ${previous.ago}: "${previous.subject}" to ${previous.recipients} recipient${previous.recipients === 1 ? '' : 's'}.\n\nSend it again?`)) {
+        showMessage('Send cancelled', 'error')
+        return
+      }
+      formData.append('confirmDuplicate', 'true')
+      result = await postSend(formData)
+    }
+    
+    // Invalid or misspelt addresses: send to the rest only if confirmed
+    const review = result.response.status === 422 && result.data.addressReview
+    if (review) {
+      const problems = review
+        .filter(check => !check.valid || check.suggestion)
+        .map(check => check.valid ? `${check.email} (did you mean ${check.suggestion}?)` : `${check.email} (${check.reason})`)
+      const shown = problems.slice(0, 10).join('\n') + (problems.length > 10 ? `\n...and ${problems.length - 10} more` : '')
+      if (!confirm(`Some addresses need a look before sending:\n\n${shown}\n\nSkip the invalid ones and send anyway?`)) {
+        showMessage('Send cancelled: review the addresses with Validate', 'error')
+        return
+      }
+      formData.append('confirmAddresses', 'true')
+      result = await postSend(formData)
+    }
+    
+    const { response, data } = result
+    
+    // Done: the next send is a new one
+    if (response.ok) {
+      state.idempotencyKey = crypto.randomUUID()
+    }
     
-    if (response.ok && data.success) {
+    if (response.ok && data.status === 'scheduled') {
+      showMessage(data.message || 'Send scheduled', 'success')
+      els.scheduledAt.value = ''
+      toggleFileInputState(els.scheduledAt, false)
+      loadScheduledSends()
+    } else if (response.ok && data.jobId) {
+      showProgress(data.jobId)
+    } else if (response.ok && data.success) {
       const message = data.message || 
         `Email sent successfully! ${data.successCount || 0} sent, ${data.failureCount || 0} failed`
       showMessage(message, 'success')
     } else {
-      const errorMsg = data.errorMessage || data.error || data.message || 'Failed to send email'
+      const errorMsg = data.errorMessage ||
+        (data.error && data.details ? `${data.error}: ${data.details}` : data.error) ||
+        data.message || 'Failed to send email'
       showMessage(errorMsg, 'error')
     }
   } catch (error) {
@@ -672,8 +1700,16 @@ async function handleFormSubmit(e) {
  * Setup all event listeners
  */
 function setupEventListeners() {
+  // Sender
+  els.senderSelect.addEventListener('change', updateSenderInfo)
+  
   // Recipients
   els.recipientsText.addEventListener('input', updateRecipientCount)
+  els.saveListBtn.addEventListener('click', saveRecipientsAsList)
+  els.dedupeProviderRules.addEventListener('change', () => {
+    if (state.csvImport) runCsvImport()
+    else updateRecipientCount()
+  })
   
   els.recipientsFile.addEventListener('change', async () => {
     const file = els.recipientsFile.files?.[0]
@@ -681,20 +1717,32 @@ function setupEventListeners() {
     
     if (file) {
       try {
-        const text = await file.text()
-        state.csvRecipientsLoaded = parseCSV(text)
-        
-        els.csvPreview.textContent = state.csvRecipientsLoaded.length
-          ? `✓ Loaded ${state.csvRecipientsLoaded.length} email${state.csvRecipientsLoaded.length === 1 ? '' : 's'} from ${file.name}`
-          : '✗ No valid emails found in file'
-        els.csvPreview.className = state.csvRecipientsLoaded.length ? 'info-box success' : 'info-box error'
-        updateRecipientCount()
+        state.csvText = await file.text()
+        state.csvOptions = {}
+        runCsvImport()
       } catch (error) {
         showMessage('Failed to read CSV file', 'error')
       }
     }
   })
   
+  // Re-detect columns when the delimiter or header row changes
+  els.csvDelimiter.addEventListener('change', () => {
+    state.csvOptions = { delimiter: els.csvDelimiter.value }
+    runCsvImport()
+  })
+  
+  els.csvHasHeader.addEventListener('change', () => {
+    state.csvOptions = { delimiter: els.csvDelimiter.value, hasHeader: els.csvHasHeader.checked }
+    runCsvImport()
+  })
+  
+  els.csvColumns.addEventListener('change', event => {
+    if (event.target.matches('select')) {
+      changeCsvColumnRole(event.target)
+    }
+  })
+  
   // Template loading
   els.loadTemplateBtn.addEventListener('click', async () => {
     const templateName = els.templateSelect.value
@@ -712,6 +1760,7 @@ function setupEventListeners() {
       
       if (data.content) {
         loadHtmlContent(data.content)
+        state.templateName = templateName
         
         const message = state.requiredImages.length > 0
           ? `Template "${templateName}" loaded. ${state.requiredImages.length} image(s) detected.`
@@ -737,6 +1786,7 @@ function setupEventListeners() {
       try {
         const text = await file.text()
         loadHtmlContent(text)
+        state.templateName = file.name
         
         els.templateFileInfo.textContent = `✓ Loaded: ${file.name}`
         els.templateFileInfo.className = 'info-box success'
@@ -833,6 +1883,42 @@ function setupEventListeners() {
     if (e.key === 'Escape' && els.previewModal.style.display === 'block') {
       closePreview()
     }
+    if (e.key === 'Escape' && els.validateModal.style.display === 'block') {
+      closeValidate()
+    }
+    if (e.key === 'Escape' && els.progressModal.style.display === 'block') {
+      closeProgress()
+    }
+  })
+  
+  // Validation
+  els.validateBtn.addEventListener('click', validateSend)
+  els.closeValidate.addEventListener('click', closeValidate)
+  
+  els.validateModal.addEventListener('click', e => {
+    if (e.target === els.validateModal) {
+      closeValidate()
+    }
+  })
+  
+  // Progress
+  els.closeProgress.addEventListener('click', closeProgress)
+  
+  els.pauseSendBtn.addEventListener('click', () => {
+    controlSend(state.progressJob?.status === 'paused' ? 'resume' : 'pause')
+  })
+  
+  els.cancelSendBtn.addEventListener('click', () => controlSend('cancel'))
+  
+  els.abRefreshBtn.addEventListener('click', loadAbResults)
+  els.abAutoWinnerBtn.addEventListener('click', () => {
+    sendAbWinner({ metric: 'auto' }, Number(els.progressRemaining.textContent))
+  })
+  
+  els.progressModal.addEventListener('click', e => {
+    if (e.target === els.progressModal) {
+      closeProgress()
+    }
   })
   
   // Clear buttons
@@ -842,9 +1928,7 @@ function setupEventListeners() {
   })
   
   els.clearRecipientsFile.addEventListener('click', () => {
-    state.csvRecipientsLoaded = []
-    els.csvPreview.textContent = ''
-    els.csvPreview.className = 'info-box'
+    resetCsvImport()
     els.recipientsFile.value = ''
     toggleFileInputState(els.recipientsFile, false)
     updateRecipientCount()
@@ -854,6 +1938,19 @@ function setupEventListeners() {
     els.subject.value = ''
   })
   
+  els.abEnabled.addEventListener('change', () => {
+    els.abFields.style.display = els.abEnabled.checked ? 'block' : 'none'
+  })
+  
+  els.scheduledAt.addEventListener('input', () => {
+    toggleFileInputState(els.scheduledAt, !!els.scheduledAt.value)
+  })
+  
+  els.clearScheduledAt?.addEventListener('click', () => {
+    els.scheduledAt.value = ''
+    toggleFileInputState(els.scheduledAt, false)
+  })
+  
   els.clearLocalTemplateFile?.addEventListener('click', () => {
     els.localTemplateFile.value = ''
     toggleFileInputState(els.localTemplateFile, false)
@@ -875,11 +1972,19 @@ function setupEventListeners() {
   
   els.clearHtmlContent.addEventListener('click', () => {
     els.htmlContent.value = ''
+    state.templateName = null
     els.embedImagesBtn.disabled = true
     state.requiredImages = []
     updateImageMatchingStatus()
   })
   
+  els.textContent.addEventListener('input', updateSizeBudget)
+  
+  els.clearTextContent?.addEventListener('click', () => {
+    els.textContent.value = ''
+    updateSizeBudget()
+  })
+  
   els.clearAttachments?.addEventListener('click', () => {
     state.selectedAttachments = []
     els.attachments.value = ''
@@ -901,7 +2006,10 @@ function setupEventListeners() {
 function init() {
   setupTabs()
   setupEventListeners()
+  loadSenders()
   loadTemplates()
+  loadScheduledSends()
+  loadContactLists()
   updateRecipientCount()
   updateAttachmentsUI()
 }
@@ -3,26 +3,100 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const emailService = require('./src/services/emailService');
-const { extractImagesFromHTML, replaceImagesWithCID, matchImagesWithUploads } = require('./src/utils/htmlParser');
+const jobQueue = require('./src/services/jobQueue');
+const senders = require('./src/services/senders');
+const sendHistory = require('./src/services/sendHistory');
+const eventWebhook = require('./src/services/eventWebhook');
+const suppressions = require('./src/services/suppressions');
+const contactLists = require('./src/services/contactLists');
+const idempotency = require('./src/services/idempotency');
+const { getTransport } = require('./src/transports');
+const { buildSendPlan } = require('./src/services/sendPlan');
+const { importCSV } = require('./src/shared/csvImport');
+const emailAddress = require('./src/shared/emailAddress');
+const { extractImagesFromHTML } = require('./src/utils/htmlParser');
+const { renderMergeTags, escapeHtml } = require('./src/utils/mergeTags');
+const { verifyUnsubscribeToken, renderUnsubscribePage } = require('./src/utils/unsubscribe');
+const { describeOverLimit, formatBytes } = require('./src/utils/messageSize');
+const { tagCustomArgs } = require('./src/utils/tags');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Validate required environment variables
-if (!process.env.FROM_EMAIL) {
-  console.error('Error: FROM_EMAIL is required in .env file');
-  console.error('Please set FROM_EMAIL to your verified SendGrid sender email address');
+// Validate sender identities (senders.json, or FROM_EMAIL in .env)
+try {
+  senders.loadSenders();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  console.error('Senders must be verified in SendGrid; see "Sender Identities" in the README');
   process.exit(1);
 }
 
+// Fail fast on an unknown MAIL_TRANSPORT
+try {
+  getTransport();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+if (!eventWebhook.isSigningEnabled()) {
+  if (eventWebhook.isUnsignedAllowed()) {
+    console.warn('Warning: SENDGRID_WEBHOOK_ALLOW_UNSIGNED is set; /api/webhooks/sendgrid accepts unsigned events');
+  } else {
+    console.warn('Warning: SENDGRID_WEBHOOK_PUBLIC_KEY is not set; /api/webhooks/sendgrid rejects all events');
+  }
+}
+
+// SendGrid Event Webhook. Registered ahead of the JSON parser because the
+// signature covers the raw body.
+app.post('/api/webhooks/sendgrid', express.raw({ type: '*/*', limit: '10mb' }), (req, res) => {
+  const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+  if (!eventWebhook.verifySignature(payload, req.headers)) {
+    if (!eventWebhook.isSigningEnabled()) {
+      return res.status(403).json({
+        error: 'Webhook signing is not configured',
+        details: 'Set SENDGRID_WEBHOOK_PUBLIC_KEY, or SENDGRID_WEBHOOK_ALLOW_UNSIGNED=true for local testing'
+      });
+    }
+    return res.status(403).json({ error: 'Invalid webhook signature' });
+  }
+
+  let events;
+  try {
+    events = JSON.parse(payload.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON payload', details: error.message });
+  }
+  if (!Array.isArray(events)) {
+    return res.status(400).json({ error: 'Expected an array of events' });
+  }
+
+  try {
+    const result = eventWebhook.processEvents(events);
+    if (result.suppressed.length > 0) {
+      console.log(`Suppressed from webhook events: ${result.suppressed.join(', ')}`);
+    }
+    res.json(Object.assign({ success: true }, result));
+  } catch (error) {
+    // A non-2xx answer makes SendGrid retry the batch later
+    console.error('Error processing webhook events:', error);
+    res.status(500).json({ error: 'Failed to process events', details: error.message });
+  }
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
+// Modules the dashboard shares with the server (e.g. the CSV importer)
+app.use('/shared', express.static(path.join(__dirname, 'src', 'shared')));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -44,35 +118,47 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// CSV parsing helper
-function parseCSV(csvText) {
-  const lines = csvText.split('\n');
-  const emails = [];
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed && trimmed.includes('@')) {
-      // Extract email from CSV line (handle quoted values)
-      const match = trimmed.match(/"([^"]+)"/) || trimmed.match(/([^\s,;]+@[^\s,;]+)/);
-      if (match) {
-        const email = match[1] || match[0];
-        if (email.includes('@')) {
-          emails.push(email.trim());
-        }
-      } else {
-        // Simple split by comma or semicolon
-        const parts = trimmed.split(/[,;]/);
-        parts.forEach(part => {
-          const email = part.trim();
-          if (email.includes('@')) {
-            emails.push(email);
-          }
-        });
+// Parse a requested send time; it must be a valid date in the future
+function parseScheduledAt(value) {
+  const scheduledAt = new Date(value);
+  if (isNaN(scheduledAt.getTime())) {
+    return { error: 'Invalid scheduledAt: use an ISO 8601 date and time, e.g. 2024-05-01T09:00:00+02:00' };
+  }
+  if (scheduledAt.getTime() <= Date.now()) {
+    return { error: 'scheduledAt must be in the future' };
+  }
+  return { scheduledAt };
+}
+
+// Interpret a form or query flag ("true", "1", "on")
+function isTrue(value) {
+  return ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Summary of a recent send with the same recipients, subject and HTML, if any
+function findDuplicateSend(fingerprint) {
+  const previous = sendHistory.findRecentSend(fingerprint, new Date(Date.now() - idempotency.DUPLICATE_WINDOW));
+  return previous && {
+    sendId: previous.id,
+    status: previous.status,
+    subject: previous.subject,
+    recipients: previous.counts.total,
+    createdAt: previous.createdAt,
+    ago: idempotency.timeAgo(previous.createdAt)
+  };
+}
+
+// Delete every file multer stored for a request
+function removeUploads(files) {
+  Object.values(files || {}).flat().forEach(file => {
+    try {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
       }
+    } catch (err) {
+      console.error('Error cleaning up upload:', err);
     }
-  }
-  
-  return [...new Set(emails)]; // Remove duplicates
+  });
 }
 
 // Routes
@@ -82,7 +168,44 @@ app.get('/', (req, res) => {
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
+  res.json({ status: 'ok', message: 'Server is running', transport: getTransport().name });
+});
+
+// Sender identities for the dashboard's picker; the first one is the default
+app.get('/api/senders', (req, res) => {
+  res.json({ senders: senders.listSenders() });
+});
+
+// Messages captured by the in-memory transport (MAIL_TRANSPORT=memory)
+app.get('/api/outbox', (req, res) => {
+  const transport = getTransport();
+  if (transport.name !== 'memory') {
+    return res.status(404).json({ error: 'Outbox is only available with the memory transport' });
+  }
+
+  const messages = transport.messages.map(entry => Object.assign({}, entry, {
+    message: Object.assign({}, entry.message, {
+      attachments: entry.message.attachments.map(att => ({
+        filename: att.filename,
+        contentType: att.contentType,
+        contentDisposition: att.contentDisposition,
+        cid: att.cid,
+        size: att.content.length
+      }))
+    })
+  }));
+
+  res.json({ messages, count: messages.length });
+});
+
+app.delete('/api/outbox', (req, res) => {
+  const transport = getTransport();
+  if (transport.name !== 'memory') {
+    return res.status(404).json({ error: 'Outbox is only available with the memory transport' });
+  }
+
+  transport.clear();
+  res.json({ success: true });
 });
 
 // Send email endpoint (single or multiple recipients)
@@ -92,232 +215,254 @@ app.post('/api/send-email', upload.fields([
   { name: 'localTemplateFile', maxCount: 1 },
   { name: 'templateImages', maxCount: 50 }
 ]), async (req, res) => {
+  const dryRun = isTrue(req.body.dryRun) || isTrue(req.query.dryRun);
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  // Set once this request owns the key; released again if the request fails
+  let claimedKey = false;
+  let replayed = false;
+
   try {
-    const { to, subject, htmlContent, recipientsText } = req.body;
-    
-    if (!subject) {
-      return res.status(400).json({ 
-        error: 'Missing required field: subject is required' 
-      });
+    if (idempotencyKey !== undefined) {
+      const keyError = idempotency.validateKey(idempotencyKey);
+      if (keyError) {
+        return res.status(400).json({ error: 'Invalid idempotency key', details: keyError });
+      }
     }
 
-    let finalHtmlContent = htmlContent || '';
-    let htmlImages = [];
-
-    // Process local HTML template file if uploaded
-    if (req.files && req.files.localTemplateFile) {
-      const htmlFile = req.files.localTemplateFile[0];
-      const htmlFilePath = htmlFile.path;
-      
-      try {
-        // Read HTML content from uploaded file
-        finalHtmlContent = fs.readFileSync(htmlFilePath, 'utf8');
-        
-        // Check if template images were uploaded separately
-        if (req.files && req.files.templateImages && req.files.templateImages.length > 0) {
-          // Match HTML image references with uploaded images
-          htmlImages = matchImagesWithUploads(finalHtmlContent, req.files.templateImages);
-          
-          if (htmlImages.length > 0) {
-            // Replace image src with CID references
-            htmlImages.forEach(img => {
-              const imgRegex = new RegExp(`(<img[^>]+src\\s*=\\s*["'])${img.src.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(["'][^>]*>)`, 'gi');
-              finalHtmlContent = finalHtmlContent.replace(imgRegex, `$1cid:${img.cid}$2`);
-              
-              const styleRegex = new RegExp(`(background-image\\s*:\\s*url\\(["']?)${img.src.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(["']?\\))`, 'gi');
-              finalHtmlContent = finalHtmlContent.replace(styleRegex, `$1cid:${img.cid}$2`);
-            });
-            
-            console.log(`Matched ${htmlImages.length} images from uploaded files`);
-          } else {
-            // Fallback: try to extract images from HTML file location
-            htmlImages = extractImagesFromHTML(finalHtmlContent, htmlFilePath);
-            if (htmlImages.length > 0) {
-              finalHtmlContent = replaceImagesWithCID(finalHtmlContent, htmlImages);
-            }
-          }
-        } else {
-          // No separate images uploaded, try to find images relative to HTML file
-          htmlImages = extractImagesFromHTML(finalHtmlContent, htmlFilePath);
-          if (htmlImages.length > 0) {
-            finalHtmlContent = replaceImagesWithCID(finalHtmlContent, htmlImages);
-          }
-        }
-        
-        console.log(`Processed HTML template with ${htmlImages.length} images`);
-      } catch (error) {
-        console.error('Error processing HTML file:', error);
-        // Clean up uploaded file
-        if (fs.existsSync(htmlFilePath)) {
-          fs.unlinkSync(htmlFilePath);
-        }
-        return res.status(400).json({ 
-          error: 'Failed to process HTML file', 
-          details: error.message 
-        });
-      }
-    } else if (htmlContent) {
-      // HTML content provided as text - try to match with uploaded images
-      if (req.files && req.files.templateImages && req.files.templateImages.length > 0) {
-        htmlImages = matchImagesWithUploads(htmlContent, req.files.templateImages);
-        if (htmlImages.length > 0) {
-          htmlImages.forEach(img => {
-            const imgRegex = new RegExp(`(<img[^>]+src\\s*=\\s*["'])${img.src.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(["'][^>]*>)`, 'gi');
-            finalHtmlContent = finalHtmlContent.replace(imgRegex, `$1cid:${img.cid}$2`);
-            
-            const styleRegex = new RegExp(`(background-image\\s*:\\s*url\\(["']?)${img.src.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(["']?\\))`, 'gi');
-            finalHtmlContent = finalHtmlContent.replace(styleRegex, `$1cid:${img.cid}$2`);
-          });
-        }
+    let scheduledAt = null;
+    if (req.body.scheduledAt) {
+      const parsed = parseScheduledAt(req.body.scheduledAt);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
       }
+      scheduledAt = parsed.scheduledAt;
     }
 
-    if (!finalHtmlContent) {
-      return res.status(400).json({ 
-        error: 'HTML content is required' 
-      });
+    const plan = buildSendPlan(req.body, req.files);
+    if (plan.error) {
+      return res.status(plan.error.status).json(plan.error.body);
     }
 
-    // Collect recipients from multiple sources
-    let recipients = [];
-    
-    // From CSV file upload
-    if (req.files && req.files.recipientsFile) {
-      const csvFile = req.files.recipientsFile[0];
-      const csvContent = fs.readFileSync(csvFile.path, 'utf8');
-      const csvEmails = parseCSV(csvContent);
-      recipients = [...recipients, ...csvEmails];
-      // Clean up uploaded CSV file
-      fs.unlinkSync(csvFile.path);
-    }
-    
-    // From textarea (one per line or comma-separated)
-    if (recipientsText) {
-      const textEmails = recipientsText
-        .split(/[\n,;]/)
-        .map(email => email.trim())
-        .filter(email => email && email.includes('@'));
-      recipients = [...recipients, ...textEmails];
+    // Invalid addresses are skipped (after review); everyone else is sent to
+    const { subject, html: finalHtmlContent, validRecipients: recipients, attachments, missingMergeFields } = plan;
+
+    // Report the plan without sending anything
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        ready: plan.validRecipients.length > 0 && missingMergeFields.length === 0 && !plan.size.overLimit,
+        mode: recipients.length > 1 || scheduledAt || plan.abTest ? 'job' : 'single',
+        scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+        sender: plan.sender,
+        subject,
+        replyTo: plan.replyTo,
+        cc: plan.cc,
+        bcc: plan.bcc,
+        headers: plan.headers,
+        tags: plan.tags,
+        categories: plan.categories,
+        recipients,
+        invalidRecipients: plan.invalidRecipients,
+        duplicates: plan.duplicates,
+        addressReview: plan.addressReview,
+        csvImport: plan.csvImport,
+        lists: plan.lists,
+        suppressed: plan.suppressed,
+        missingMergeFields,
+        html: finalHtmlContent,
+        text: plan.text,
+        textGenerated: !plan.textOverride,
+        images: plan.images,
+        attachments: plan.size.items.map((item, index) => Object.assign({}, item, {
+          contentType: attachments[index].contentType,
+          typeWarning: attachments[index].typeWarning || null
+        })),
+        size: plan.size,
+        abTest: plan.abTest,
+        duplicateOf: findDuplicateSend(plan.fingerprint)
+      });
     }
-    
-    // From "to" field (comma-separated)
-    if (to) {
-      const toEmails = to.split(',').map(email => email.trim()).filter(email => email);
-      recipients = [...recipients, ...toEmails];
+
+    if (plan.size.overLimit) {
+      return res.status(413).json({
+        error: 'Message too large',
+        details: describeOverLimit(plan.size),
+        size: plan.size
+      });
     }
 
-    // Remove duplicates
-    recipients = [...new Set(recipients)];
+    if (plan.size.htmlClipped) {
+      console.warn(`Warning: HTML is ${formatBytes(plan.size.html)}; Gmail clips messages over ${formatBytes(plan.size.gmailClipLimit)}`);
+    }
 
-    if (recipients.length === 0) {
-      return res.status(400).json({ 
-        error: 'No valid recipients provided' 
+    if (plan.validRecipients.length === 0) {
+      return res.status(400).json({
+        error: 'No valid recipients provided',
+        details: plan.addressReview.map(check => `${check.email}: ${check.reason}`).join('; '),
+        addressReview: plan.addressReview
       });
     }
 
-    if (!process.env.FROM_EMAIL) {
-      return res.status(500).json({ 
-        error: 'Server configuration error: FROM_EMAIL not set in .env file' 
+    if (missingMergeFields.length > 0) {
+      return res.status(400).json({
+        error: 'Template uses merge fields that the recipient data does not provide',
+        details: missingMergeFields
+          .map(field => `{{${field.tag}}} is missing for ${field.count} recipient${field.count === 1 ? '' : 's'}`)
+          .join('; '),
+        missingMergeFields
       });
     }
 
-    // Get attachment file paths
-    let attachments = req.files && req.files.attachments 
-      ? req.files.attachments.map(file => ({
-          filename: file.originalname,
-          path: file.path,
-          disposition: 'attachment'
-        }))
-      : [];
-
-    // Add matched images from HTML as inline attachments
-    htmlImages.forEach(img => {
-      if (img.matched || img.found) {
-        attachments.push({
-          filename: img.filename,
-          path: img.path || img.absolutePath,
-          cid: img.cid,
-          disposition: 'inline'
+    // A repeated request gets the original response instead of a second send
+    if (idempotencyKey) {
+      const existing = idempotency.lookupKey(idempotencyKey, plan.fingerprint);
+      if (existing.state === 'mismatch') {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          details: 'This idempotency key was already used for a send with different recipients, subject or HTML'
         });
       }
-    });
-    
-    // Warn about unmatched images
-    const unmatchedImages = htmlImages.filter(img => !img.matched && !img.found);
-    if (unmatchedImages.length > 0) {
-      console.warn(`Warning: ${unmatchedImages.length} image(s) not matched:`, unmatchedImages.map(img => img.src));
+      if (existing.state === 'in_progress') {
+        return res.status(409).json({
+          error: 'Send in progress',
+          details: 'A request with this idempotency key is still being sent'
+        });
+      }
+      if (existing.state === 'completed') {
+        replayed = true;
+        const body = Object.assign({}, existing.entry.body, { idempotentReplay: true });
+        // Bulk sends report where their job is now
+        const job = body.jobId && jobQueue.getJob(body.jobId);
+        if (job) {
+          Object.assign(body, { status: job.status, counts: job.counts });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.entry.statusCode).json(body);
+      }
+    }
+
+    const duplicateOf = isTrue(req.body.confirmDuplicate) ? null : findDuplicateSend(plan.fingerprint);
+    if (duplicateOf) {
+      return res.status(409).json({
+        error: 'Possible duplicate send',
+        details: `This looks like a send you did ${duplicateOf.ago} (same recipients, subject and HTML). ` +
+          'Send again with confirmDuplicate=true to send it anyway.',
+        duplicateOf
+      });
+    }
+
+    // Invalid and probably misspelt addresses go back to the client for review
+    const needsReview = isTrue(req.body.confirmAddresses) ? [] : plan.addressReview.filter(emailAddress.needsReview);
+    if (needsReview.length > 0) {
+      return res.status(422).json({
+        error: 'Recipients need review',
+        details: `${needsReview.length} address${needsReview.length === 1 ? ' is invalid or looks' : 'es are invalid or look'} misspelt. ` +
+          'Fix them, or send again with confirmAddresses=true to skip the invalid ones and send to the rest as they are.',
+        addressReview: plan.addressReview
+      });
     }
 
-    // Use bulk sending for multiple recipients
-    if (recipients.length > 1) {
-      console.log(`Sending to ${recipients.length} recipients`);
+    if (idempotencyKey) {
+      idempotency.claimKey(idempotencyKey, plan.fingerprint);
+      claimedKey = true;
+    }
+
+    // Kept with the send history
+    const audit = {
+      requestedBy: { ip: req.ip, userAgent: req.get('user-agent') },
+      template: plan.template,
+      sender: plan.sender
+    };
+
+    const skipped = plan.invalidRecipients.length;
+    const skippedNote = skipped ? `; ${skipped} invalid address${skipped === 1 ? '' : 'es'} skipped` : '';
+
+    // Bulk, scheduled and A/B sends run as persistent jobs; respond right away with the job id
+    if (recipients.length > 1 || scheduledAt || plan.abTest) {
+      console.log(`Queueing send to ${recipients.length} recipients`);
       console.log(`Attachments count: ${attachments.length}`);
       
-      const result = await emailService.sendBulkEmails({
+      const job = jobQueue.createJob({
         recipients,
         subject,
         html: finalHtmlContent,
-        from: process.env.FROM_EMAIL,
-        fromName: process.env.FROM_NAME || '',
+        text: plan.textOverride,
+        from: plan.sender.email,
+        fromName: plan.sender.name,
+        cc: plan.cc,
+        bcc: plan.bcc,
+        replyTo: plan.replyTo,
+        headers: plan.headers,
         attachments,
-        batchSize: 100
-      });
-
-      console.log(`Send result:`, {
-        total: result.total,
-        successCount: result.successCount,
-        failureCount: result.failureCount,
-        sum: result.successCount + result.failureCount,
-        errors: result.errors
+        scheduledAt,
+        audit,
+        fingerprint: plan.fingerprint,
+        tags: plan.tags,
+        categories: plan.categories,
+        abTest: plan.abTest
       });
 
-      // Validate the counts make sense
-      const sum = result.successCount + result.failureCount;
-      if (sum !== result.total) {
-        console.error(`Count mismatch! Total: ${result.total}, Success: ${result.successCount}, Failed: ${result.failureCount}, Sum: ${sum}`);
-        // Fix the counts to match total
-        if (result.successCount > result.total) {
-          result.successCount = result.total;
-          result.failureCount = 0;
-        } else if (sum > result.total) {
-          result.failureCount = result.total - result.successCount;
-        }
+      const body = {
+        success: true, 
+        message: scheduledAt
+          ? `Send to ${job.counts.total} recipient${job.counts.total === 1 ? '' : 's'} scheduled for ${job.scheduledAt}${skippedNote}`
+          : `Send to ${job.counts.total} recipients queued${skippedNote}`,
+        jobId: job.id,
+        sendId: job.id,
+        total: job.counts.total,
+        suppressed: plan.suppressed,
+        skipped: plan.invalidRecipients,
+        status: job.status,
+        scheduledAt: job.scheduledAt,
+        abTest: job.abTest
+      };
+      if (claimedKey) {
+        idempotency.completeKey(idempotencyKey, 202, body);
       }
-
-      // Include error details in response for debugging
-      const errorMessages = result.errors && result.errors.length > 0 
-        ? result.errors.map(e => e.error || e.message || 'Unknown error').join('; ')
-        : null;
-
-      res.json({ 
-        success: result.successCount > 0, 
-        message: result.failureCount > 0 
-          ? `Emails sent to ${result.successCount} recipients, ${result.failureCount} failed${errorMessages ? ': ' + errorMessages : ''}`
-          : `Emails sent to ${result.successCount} recipients`,
-        total: result.total,
-        successCount: result.successCount,
-        failureCount: result.failureCount,
-        errors: result.errors,
-        errorMessage: errorMessages
-      });
+      res.status(202).json(body);
     } else {
       // Single recipient - use regular send
+      const recipient = recipients[0];
+      const sendId = crypto.randomUUID();
+      const mergeData = Object.assign({ email: recipient.email }, recipient.data);
       const emailData = {
-        to: recipients[0],
-        subject,
-        html: finalHtmlContent,
-        from: process.env.FROM_EMAIL,
-        fromName: process.env.FROM_NAME || '',
-        attachments
+        to: recipient.email,
+        subject: renderMergeTags(subject, mergeData),
+        html: renderMergeTags(finalHtmlContent, mergeData, { escape: escapeHtml }),
+        text: plan.textOverride ? renderMergeTags(plan.textOverride, mergeData) : undefined,
+        from: plan.sender.email,
+        fromName: plan.sender.name,
+        cc: plan.cc,
+        bcc: plan.bcc,
+        replyTo: plan.replyTo,
+        headers: plan.headers,
+        attachments,
+        customArgs: Object.assign(tagCustomArgs(plan.tags), { send_id: sendId }),
+        categories: plan.categories
       };
 
-      const result = await emailService.sendEmail(emailData);
+      let result;
+      try {
+        result = await emailService.sendEmail(emailData);
+      } catch (error) {
+        sendHistory.recordSingleSend({ id: sendId, audit, sender: plan.sender, subject: emailData.subject, email: recipient.email, fingerprint: plan.fingerprint, tags: plan.tags, error });
+        throw error;
+      }
+      const record = sendHistory.recordSingleSend({ id: sendId, audit, sender: plan.sender, subject: emailData.subject, email: recipient.email, fingerprint: plan.fingerprint, tags: plan.tags, result });
 
-      res.json({ 
+      const body = {
         success: true, 
-        message: 'Email sent successfully',
-        messageId: result.messageId
-      });
+        message: `Email sent successfully${skippedNote}`,
+        messageId: result.messageId,
+        sendId: record.id,
+        suppressed: plan.suppressed,
+        skipped: plan.invalidRecipients
+      };
+      if (claimedKey) {
+        idempotency.completeKey(idempotencyKey, 200, body);
+      }
+      res.json(body);
     }
 
   } catch (error) {
@@ -327,6 +472,16 @@ app.post('/api/send-email', upload.fields([
       details: error.message 
     });
   } finally {
+    // A failed send may be retried with the same key
+    if (claimedKey && res.statusCode >= 400) {
+      idempotency.releaseKey(idempotencyKey);
+    }
+
+    // A dry run, replay or rejected request sends nothing, so none of its uploads are needed
+    if (dryRun || replayed || res.statusCode >= 400) {
+      removeUploads(req.files);
+    }
+
     // Clean up uploaded HTML file
     if (req.files && req.files.localTemplateFile) {
       const htmlFilePath = req.files.localTemplateFile[0].path;
@@ -341,6 +496,541 @@ app.post('/api/send-email', upload.fields([
   }
 });
 
+// List bulk-send jobs
+app.get('/api/jobs', (req, res) => {
+  try {
+    res.json({ jobs: jobQueue.listJobs() });
+  } catch (error) {
+    console.error('Error reading jobs:', error);
+    res.status(500).json({ error: 'Failed to read jobs' });
+  }
+});
+
+// Get a bulk-send job (add ?includeRecipients=true for per-recipient state)
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    const job = jobQueue.getJob(req.params.id, {
+      includeRecipients: req.query.includeRecipients === 'true'
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error reading job:', error);
+    res.status(500).json({ error: 'Failed to read job' });
+  }
+});
+
+// Pause, resume or cancel a bulk-send job. Running jobs stop before their next batch.
+const JOB_ACTIONS = {
+  pause: jobQueue.pauseJob,
+  resume: jobQueue.resumeJob,
+  cancel: jobQueue.cancelJob
+};
+
+app.post('/api/jobs/:id/:action(pause|resume|cancel)', (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const existing = jobQueue.getJob(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = JOB_ACTIONS[action](id);
+    if (!job) {
+      return res.status(409).json({ error: `Job is ${existing.status} and cannot be ${action === 'cancel' ? 'cancelled' : action + 'd'}` });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error(`Error updating job:`, error);
+    res.status(500).json({ error: 'Failed to update job', details: error.message });
+  }
+});
+
+// Send an A/B test's winning variant to the recipients held back from the test.
+// Body: { "variant": "B" } to pick by hand, or { "metric": "opens" | "clicks" | "auto" }
+app.post('/api/jobs/:id/winner', (req, res) => {
+  try {
+    const existing = jobQueue.getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const body = req.body || {};
+    const job = jobQueue.sendWinner(req.params.id, { variant: body.variant, metric: body.metric });
+    if (!job) {
+      return res.status(409).json({ error: existing.abTest
+        ? `Job is ${existing.status}; a winner can only be sent once the test cohort is done`
+        : 'Job is not an A/B test' });
+    }
+    if (job.error) {
+      return res.status(400).json({ error: 'Cannot pick a winner', details: job.error });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error sending A/B test winner:', error);
+    res.status(500).json({ error: 'Failed to send winner', details: error.message });
+  }
+});
+
+// Send history, newest first. Filters: email, status, sender, subject, template,
+// campaign, label, since, until; pagination: page, limit
+app.get('/api/sends', (req, res) => {
+  try {
+    const query = Object.assign({}, req.query);
+    // Repeated (?sender=a&sender=b) or nested parameters arrive as arrays and objects
+    const repeated = Object.keys(query).find(key => typeof query[key] !== 'string');
+    if (repeated) {
+      return res.status(400).json({ error: `Invalid ${repeated}: give it once, as text` });
+    }
+    for (const key of ['since', 'until']) {
+      if (query[key]) {
+        query[key] = new Date(query[key]);
+        if (isNaN(query[key].getTime())) {
+          return res.status(400).json({ error: `Invalid ${key}: use an ISO 8601 date, e.g. 2024-04-01` });
+        }
+      }
+    }
+    res.json(sendHistory.listSends(query));
+  } catch (error) {
+    console.error('Error reading send history:', error);
+    res.status(500).json({ error: 'Failed to read send history' });
+  }
+});
+
+// One send with its per-recipient outcomes
+app.get('/api/sends/:id', (req, res) => {
+  try {
+    const send = sendHistory.getSend(req.params.id);
+    if (!send) {
+      return res.status(404).json({ error: 'Send not found' });
+    }
+    res.json(send);
+  } catch (error) {
+    console.error('Error reading send:', error);
+    res.status(500).json({ error: 'Failed to read send' });
+  }
+});
+
+// Suppression list. Filters: search (part of the address), reason
+app.get('/api/suppressions', (req, res) => {
+  try {
+    const list = suppressions.listSuppressions({ search: req.query.search, reason: req.query.reason });
+    res.json({ suppressions: list, total: list.length });
+  } catch (error) {
+    console.error('Error reading suppressions:', error);
+    res.status(500).json({ error: 'Failed to read suppression list' });
+  }
+});
+
+// Download the suppression list as CSV
+app.get('/api/suppressions/export', (req, res) => {
+  try {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment('suppressions.csv');
+    res.send(suppressions.exportSuppressions());
+  } catch (error) {
+    console.error('Error exporting suppressions:', error);
+    res.status(500).json({ error: 'Failed to export suppression list' });
+  }
+});
+
+// Suppress addresses. JSON body: { email } or { emails: [...] }, optional reason
+app.post('/api/suppressions', (req, res) => {
+  try {
+    const { email, emails, reason } = req.body || {};
+    const list = Array.isArray(emails) ? emails : [email].filter(Boolean);
+    if (list.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: email or emails' });
+    }
+    if (reason && !suppressions.REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason: use one of ${suppressions.REASONS.join(', ')}` });
+    }
+
+    const result = suppressions.addSuppressions(list, { reason, source: 'api' });
+    res.status(result.added.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Error adding suppressions:', error);
+    res.status(500).json({ error: 'Failed to update suppression list', details: error.message });
+  }
+});
+
+// Import addresses from a CSV upload ("file") or pasted text ("text"). A
+// "reason" column overrides the reason field for its row.
+app.post('/api/suppressions/import', upload.single('file'), (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (reason && !suppressions.REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason: use one of ${suppressions.REASONS.join(', ')}` });
+    }
+
+    const content = req.file ? fs.readFileSync(req.file.path, 'utf8') : req.body.text;
+    if (!content || !content.trim()) {
+      return res.status(400).json({ error: 'Upload a CSV file or provide text to import' });
+    }
+
+    const imported = importCSV(content);
+    const rows = imported.recipients.map(row => ({ email: row.email, reason: row.data.reason }));
+    const result = suppressions.addSuppressions(rows, { reason, source: 'import' });
+    res.json(Object.assign({ total: rows.length }, result, { rejected: imported.rejected }));
+  } catch (error) {
+    console.error('Error importing suppressions:', error);
+    res.status(500).json({ error: 'Failed to import suppression list', details: error.message });
+  } finally {
+    if (req.file) {
+      removeUploads({ file: [req.file] });
+    }
+  }
+});
+
+// Remove an address from the suppression list
+app.delete('/api/suppressions/:email', (req, res) => {
+  try {
+    const entry = suppressions.removeSuppression(req.params.email);
+    if (!entry) {
+      return res.status(404).json({ error: 'Address is not on the suppression list' });
+    }
+    res.json({ success: true, removed: entry });
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({ error: 'Failed to update suppression list', details: error.message });
+  }
+});
+
+// Saved contact lists, by name
+app.get('/api/lists', (req, res) => {
+  try {
+    res.json({ lists: contactLists.listLists() });
+  } catch (error) {
+    console.error('Error reading contact lists:', error);
+    res.status(500).json({ error: 'Failed to read contact lists' });
+  }
+});
+
+// Create a list. JSON body: { name, description, contacts: [email or { email, attributes }] }
+app.post('/api/lists', (req, res) => {
+  try {
+    const { name, description, contacts } = req.body || {};
+    const nameError = contactLists.validateListName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    if (contacts !== undefined && !Array.isArray(contacts)) {
+      return res.status(400).json({ error: 'contacts must be an array of addresses or { email, attributes } objects' });
+    }
+    if (contactLists.findListByName(name)) {
+      return res.status(409).json({ error: `A list named "${name.trim()}" already exists` });
+    }
+
+    const list = contactLists.createList({ name, description });
+    const result = contacts ? contactLists.addContacts(list.id, contacts, { source: req.body.source === 'dashboard' ? 'dashboard' : 'api' }) : null;
+    res.status(201).json({ list: contactLists.getList(list.id), contacts: result });
+  } catch (error) {
+    console.error('Error creating contact list:', error);
+    res.status(500).json({ error: 'Failed to create contact list', details: error.message });
+  }
+});
+
+// A list with its contacts; each contact says whether it is suppressed
+app.get('/api/lists/:id', (req, res) => {
+  try {
+    const list = contactLists.getList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    const contacts = list.contacts.map(contact =>
+      Object.assign({}, contact, { suppressed: suppressions.isSuppressed(contact.email) }));
+    delete list.history;
+    res.json({ list: Object.assign(list, { contacts }) });
+  } catch (error) {
+    console.error('Error reading contact list:', error);
+    res.status(500).json({ error: 'Failed to read contact list' });
+  }
+});
+
+// Rename a list or change its description. JSON body: { name, description }
+app.patch('/api/lists/:id', (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    if (name !== undefined) {
+      const nameError = contactLists.validateListName(name);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+      const existing = contactLists.findListByName(name);
+      if (existing && existing.id !== req.params.id) {
+        return res.status(409).json({ error: `A list named "${name.trim()}" already exists` });
+      }
+    }
+
+    const list = contactLists.updateList(req.params.id, { name, description });
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    res.json({ success: true, list: Object.assign({}, list, { contacts: undefined, history: undefined }) });
+  } catch (error) {
+    console.error('Error updating contact list:', error);
+    res.status(500).json({ error: 'Failed to update contact list', details: error.message });
+  }
+});
+
+// Delete a list; sends already made from it are not affected
+app.delete('/api/lists/:id', (req, res) => {
+  try {
+    const removed = contactLists.deleteList(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error deleting contact list:', error);
+    res.status(500).json({ error: 'Failed to delete contact list', details: error.message });
+  }
+});
+
+// Add contacts or update their attributes. JSON body: { email, attributes } or
+// { contacts: [email or { email, attributes }] }
+app.post('/api/lists/:id/contacts', (req, res) => {
+  try {
+    const { email, attributes, contacts } = req.body || {};
+    const list = Array.isArray(contacts) ? contacts : [email && { email, attributes }].filter(Boolean);
+    if (list.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: email or contacts' });
+    }
+
+    const result = contactLists.addContacts(req.params.id, list, { source: req.body.source === 'dashboard' ? 'dashboard' : 'api' });
+    if (!result) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    res.status(result.added.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Error adding contacts:', error);
+    res.status(500).json({ error: 'Failed to update contact list', details: error.message });
+  }
+});
+
+// Remove a contact from a list
+app.delete('/api/lists/:id/contacts/:email', (req, res) => {
+  try {
+    const result = contactLists.removeContacts(req.params.id, [req.params.email], { source: 'api' });
+    if (!result) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    if (result.removed.length === 0) {
+      return res.status(404).json({ error: 'Address is not on this list' });
+    }
+    res.json({ success: true, removed: result.removed[0] });
+  } catch (error) {
+    console.error('Error removing contact:', error);
+    res.status(500).json({ error: 'Failed to update contact list', details: error.message });
+  }
+});
+
+// Import contacts from a CSV upload ("file") or pasted text ("text"), with an
+// optional csvMapping as for sends. Name and merge field columns become attributes.
+app.post('/api/lists/:id/import', upload.single('file'), (req, res) => {
+  try {
+    if (!contactLists.getList(req.params.id)) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+
+    const content = req.file ? fs.readFileSync(req.file.path, 'utf8') : req.body.text;
+    if (!content || !content.trim()) {
+      return res.status(400).json({ error: 'Upload a CSV file or provide text to import' });
+    }
+
+    let mapping = {};
+    if (req.body.csvMapping) {
+      try {
+        mapping = JSON.parse(req.body.csvMapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid CSV mapping', details: 'csvMapping must be a JSON object' });
+      }
+    }
+
+    const imported = importCSV(content, mapping);
+    if (imported.error) {
+      return res.status(400).json({ error: 'Invalid CSV mapping', details: imported.error });
+    }
+    // Empty cells leave an attribute as it is
+    const rows = imported.recipients.map(row => ({
+      email: row.email,
+      attributes: Object.fromEntries(Object.entries(row.data).filter(([, value]) => value !== ''))
+    }));
+    const result = contactLists.addContacts(req.params.id, rows, { source: 'import' });
+    res.json(Object.assign({ total: rows.length }, result, { rejected: imported.rejected }));
+  } catch (error) {
+    console.error('Error importing contacts:', error);
+    res.status(500).json({ error: 'Failed to import contacts', details: error.message });
+  } finally {
+    if (req.file) {
+      removeUploads({ file: [req.file] });
+    }
+  }
+});
+
+// Download a list as CSV: email and one column per attribute
+app.get('/api/lists/:id/export', (req, res) => {
+  try {
+    const list = contactLists.getList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`${list.name.replace(/[^\w.-]+/g, '_')}.csv`);
+    res.send(contactLists.exportList(list.id));
+  } catch (error) {
+    console.error('Error exporting contact list:', error);
+    res.status(500).json({ error: 'Failed to export contact list' });
+  }
+});
+
+// Membership history of a list, newest first. Filter: email
+app.get('/api/lists/:id/history', (req, res) => {
+  try {
+    const history = contactLists.listHistory(req.params.id, { email: req.query.email });
+    if (!history) {
+      return res.status(404).json({ error: 'Contact list not found' });
+    }
+    res.json({ history, total: history.length });
+  } catch (error) {
+    console.error('Error reading list history:', error);
+    res.status(500).json({ error: 'Failed to read list history' });
+  }
+});
+
+// List scheduled sends that have not gone out yet
+app.get('/api/scheduled', (req, res) => {
+  try {
+    res.json({ scheduled: jobQueue.listJobs({ status: 'scheduled' }) });
+  } catch (error) {
+    console.error('Error reading scheduled sends:', error);
+    res.status(500).json({ error: 'Failed to read scheduled sends' });
+  }
+});
+
+// Reschedule a pending scheduled send
+app.patch('/api/scheduled/:id', (req, res) => {
+  try {
+    if (!req.body || !req.body.scheduledAt) {
+      return res.status(400).json({ error: 'Missing required field: scheduledAt' });
+    }
+
+    const parsed = parseScheduledAt(req.body.scheduledAt);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const job = jobQueue.rescheduleJob(req.params.id, parsed.scheduledAt);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled send not found (it may already have been sent or cancelled)' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error rescheduling send:', error);
+    res.status(500).json({ error: 'Failed to reschedule send', details: error.message });
+  }
+});
+
+// Cancel a pending scheduled send
+app.delete('/api/scheduled/:id', (req, res) => {
+  try {
+    const existing = jobQueue.getJob(req.params.id);
+    const job = existing && existing.status === 'scheduled' ? jobQueue.cancelJob(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled send not found (it may already have been sent or cancelled)' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error cancelling send:', error);
+    res.status(500).json({ error: 'Failed to cancel send', details: error.message });
+  }
+});
+
+// Stream job progress as Server-Sent Events. The first event is a snapshot
+// with every failure so far; later events carry only new failures.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const snapshot = jobQueue.getProgress(req.params.id);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  send(snapshot);
+  if (snapshot.finished) {
+    return res.end();
+  }
+
+  const unsubscribe = jobQueue.subscribe(req.params.id, event => {
+    send(event);
+    if (event.finished) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  req.on('close', unsubscribe);
+});
+
+// Public unsubscribe link from an email. GET asks for confirmation, so link
+// scanners that prefetch URLs do not unsubscribe anyone; POST unsubscribes,
+// both from the confirmation form and as a one-click unsubscribe (RFC 8058).
+app.get('/unsubscribe', (req, res) => {
+  const { email, token } = req.query;
+  if (!verifyUnsubscribeToken(email, token)) {
+    return res.status(400).send(renderUnsubscribePage({
+      title: 'Invalid link',
+      message: 'This unsubscribe link is invalid or incomplete. Please use the link from your email.'
+    }));
+  }
+
+  if (suppressions.isSuppressed(email)) {
+    return res.send(renderUnsubscribePage({
+      title: 'Unsubscribed',
+      message: `${email} is already unsubscribed.`
+    }));
+  }
+
+  res.send(renderUnsubscribePage({
+    title: 'Unsubscribe',
+    message: `Stop sending emails to ${email}?`,
+    action: req.originalUrl
+  }));
+});
+
+app.post('/unsubscribe', (req, res) => {
+  const { email, token } = req.query;
+  if (!verifyUnsubscribeToken(email, token)) {
+    return res.status(400).send(renderUnsubscribePage({
+      title: 'Invalid link',
+      message: 'This unsubscribe link is invalid or incomplete. Please use the link from your email.'
+    }));
+  }
+
+  try {
+    suppressions.addSuppressions([email], { reason: 'unsubscribe', source: 'link' });
+    console.log(`Unsubscribed ${email}`);
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    return res.status(500).send(renderUnsubscribePage({
+      title: 'Something went wrong',
+      message: 'We could not process your request. Please try again later.'
+    }));
+  }
+
+  res.send(renderUnsubscribePage({
+    title: 'Unsubscribed',
+    message: `${email} will no longer receive these emails.`
+  }));
+});
+
 // Extract images from HTML endpoint (for preview)
 app.post('/api/extract-images', upload.single('htmlFile'), (req, res) => {
   try {
@@ -419,4 +1109,6 @@ app.get('/api/templates/:filename', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Mail transport: ${getTransport().name}`);
+  jobQueue.startWorker();
 });
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * A/B tests of subject lines and HTML
+ *
+ * A send may define two or three variants (A, B, C), each overriding the
+ * subject and/or the HTML, and a test percentage. That share of the list forms
+ * the test cohort and is split evenly across the variants; everyone else is
+ * held back until a winner is picked, then gets the winning variant.
+ *
+ * Assignment is deterministic: recipients are ordered by a hash of their
+ * address and the send's content fingerprint, so a dry run shows exactly the
+ * split the real send will use.
+ */
+
+const VARIANT_IDS = ['A', 'B', 'C'];
+const MIN_VARIANTS = 2;
+
+// Share of the list in the test cohort when the request does not say
+const DEFAULT_TEST_PERCENT = 20;
+
+// Metrics a winner can be picked by; both need the Event Webhook
+const METRICS = {
+  opens: 'opened',
+  clicks: 'clicked'
+};
+
+/**
+ * Parse the variants and test percentage of a send request
+ * @param {Object} body - Request body
+ * @param {string} body.variants - JSON array of { subject, htmlContent } overrides of the
+ *   main subject and HTML
+ * @param {string|number} body.testPercent - Percentage of recipients in the test cohort (1-100)
+ * @returns {Object} { variants, testPercent }, null when the send is no A/B test,
+ *   or { error } with a message
+ */
+function parseVariants(body) {
+  if (body.variants === undefined || body.variants === '') {
+    return null;
+  }
+
+  let list = body.variants;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      return { error: 'variants must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(list) || list.length < MIN_VARIANTS || list.length > VARIANT_IDS.length) {
+    return { error: `variants must list ${MIN_VARIANTS} to ${VARIANT_IDS.length} variants` };
+  }
+
+  const variants = [];
+  for (let i = 0; i < list.length; i++) {
+    const entry = list[i] && typeof list[i] === 'object' ? list[i] : {};
+    const subject = typeof entry.subject === 'string' ? entry.subject.trim() : '';
+    const html = typeof entry.htmlContent === 'string' ? entry.htmlContent.trim() : '';
+    // A variant without either is the control: the main subject and HTML
+    variants.push({ id: VARIANT_IDS[i], subject: subject || null, html: html || null });
+  }
+
+  const testPercent = body.testPercent === undefined || body.testPercent === ''
+    ? DEFAULT_TEST_PERCENT
+    : Number(body.testPercent);
+  if (!(testPercent > 0 && testPercent <= 100)) {
+    return { error: 'testPercent must be a number from 1 to 100' };
+  }
+
+  return { variants, testPercent };
+}
+
+/**
+ * Assign recipients to variants
+ * @param {Array<{email: string}>} recipients - Recipients
+ * @param {Object[]} variants - Variants from parseVariants
+ * @param {number} testPercent - Percentage of recipients in the test cohort
+ * @param {string} seed - Stable value for the send (its content fingerprint)
+ * @returns {Map<string, string|null>} Variant id by address; null for recipients
+ *   held back for the winner
+ */
+function assignVariants(recipients, variants, testPercent, seed) {
+  const ordered = recipients
+    .map(recipient => ({
+      email: recipient.email,
+      hash: crypto.createHash('sha256').update(`${seed}:${recipient.email.trim().toLowerCase()}`).digest('hex')
+    }))
+    .sort((a, b) => a.hash.localeCompare(b.hash));
+
+  // Every variant gets at least one recipient
+  const cohort = Math.min(ordered.length, Math.max(variants.length, Math.round(ordered.length * testPercent / 100)));
+
+  return new Map(ordered.map((recipient, index) => [
+    recipient.email,
+    index < cohort ? variants[index % variants.length].id : null
+  ]));
+}
+
+/**
+ * Per-variant results of the test cohort
+ * Recipients who got the winner after the test do not count.
+ * @param {Object} record - Send history record with per-recipient variant and delivery
+ * @param {Object[]} variants - The send's variants
+ * @returns {Object[]} Per variant: recipients, sent, delivered, opened, clicked,
+ *   openRate and clickRate (of sent messages)
+ */
+function variantStats(record, variants) {
+  const tested = record ? record.recipients.filter(recipient => recipient.variant && !recipient.rollout) : [];
+
+  return variants.map(variant => {
+    const stats = { id: variant.id, recipients: 0, sent: 0, delivered: 0, opened: 0, clicked: 0 };
+    tested.filter(recipient => recipient.variant === variant.id).forEach(recipient => {
+      const delivery = recipient.delivery || {};
+      stats.recipients++;
+      if (recipient.status === 'sent') stats.sent++;
+      if (delivery.status === 'delivered') stats.delivered++;
+      if (delivery.opens > 0) stats.opened++;
+      if (delivery.clicks > 0) stats.clicked++;
+    });
+    stats.openRate = stats.sent > 0 ? stats.opened / stats.sent : 0;
+    stats.clickRate = stats.sent > 0 ? stats.clicked / stats.sent : 0;
+    return stats;
+  });
+}
+
+/**
+ * Pick the best variant by webhook metrics
+ * @param {Object[]} stats - Result of variantStats
+ * @param {string} metric - opens, clicks, or auto (clicks when there are any, else opens)
+ * @returns {{variant: string, metric: string}|null} Winner, or null when no events
+ *   have arrived for the metric yet
+ */
+function pickWinner(stats, metric = 'auto') {
+  const chosen = metric === 'auto'
+    ? (stats.some(variant => variant.clicked > 0) ? 'clicks' : 'opens')
+    : metric;
+  const field = METRICS[chosen];
+  if (!field || !stats.some(variant => variant[field] > 0)) {
+    return null;
+  }
+
+  const rate = chosen === 'clicks' ? 'clickRate' : 'openRate';
+  const best = stats.reduce((a, b) => (b[rate] > a[rate] ? b : a));
+  return { variant: best.id, metric: chosen };
+}
+
+module.exports = {
+  VARIANT_IDS,
+  METRICS,
+  parseVariants,
+  assignVariants,
+  variantStats,
+  pickWinner
+};
@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../utils/jsonStore');
+const { normalizeFieldName, formatRow } = require('../shared/csvImport');
+const { parseAddress, normalizeAddress, addressKey, isValidAddress } = require('../shared/emailAddress');
+const suppressions = require('./suppressions');
+
+/**
+ * Saved contact lists
+ *
+ * Named lists of contacts kept on the server so a send can pick them instead
+ * of pasting or uploading recipients again. Each list lives in
+ * data/lists/<id>.json with its contacts ({ email, attributes, addedAt,
+ * updatedAt }) and membership history; data/lists/index.json holds the lists
+ * without contacts and history, for listing.
+ *
+ * Attributes are per-contact merge fields: "First Name" is stored as
+ * first_name and fills {{first_name}}, "name" fills {{name}}. Addresses are
+ * normalized and matched ignoring case, see src/shared/emailAddress.js.
+ *
+ * Every addition, attribute change and removal is appended to the list's
+ * history with its source (api, import, dashboard), newest MAX_HISTORY kept.
+ * When a send resolves lists into recipients, suppressed addresses are left
+ * out and counted per list.
+ */
+
+const LISTS_DIR = dataPath('lists');
+const INDEX_FILE = path.join(LISTS_DIR, 'index.json');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_HISTORY = 10000;
+
+let index = null;
+
+/**
+ * Load the list index (cached after the first read)
+ * @returns {Object[]} List summaries
+ */
+function loadIndex() {
+  if (!index) {
+    index = readJson(INDEX_FILE, []);
+  }
+  return index;
+}
+
+/**
+ * Path of a list's file
+ * @param {string} id - List id
+ * @returns {string} File path
+ */
+function listPath(id) {
+  return path.join(LISTS_DIR, `${id}.json`);
+}
+
+/**
+ * Strip contacts and history from a list
+ * @param {Object} list - Full list
+ * @returns {Object} Summary with the contact count
+ */
+function summarize(list) {
+  const summary = Object.assign({}, list, { contactCount: list.contacts.length });
+  delete summary.contacts;
+  delete summary.history;
+  return summary;
+}
+
+/**
+ * Write a list and its index entry
+ * @param {Object} list - Full list
+ * @returns {Object} The list
+ */
+function saveList(list) {
+  list.updatedAt = new Date().toISOString();
+  if (list.history.length > MAX_HISTORY) {
+    list.history = list.history.slice(-MAX_HISTORY);
+  }
+  writeJson(listPath(list.id), list);
+
+  const entries = loadIndex();
+  const position = entries.findIndex(entry => entry.id === list.id);
+  if (position === -1) {
+    entries.push(summarize(list));
+  } else {
+    entries[position] = summarize(list);
+  }
+  writeJson(INDEX_FILE, entries);
+
+  return list;
+}
+
+/**
+ * Check a list name
+ * @param {string} name - List name
+ * @returns {string|null} Error message, or null when the name is usable
+ */
+function validateListName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'List name must not be empty';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `List name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * List all lists, by name
+ * @returns {Object[]} Summaries
+ */
+function listLists() {
+  return loadIndex().slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a list with its contacts and history
+ * @param {string} id - List id
+ * @returns {Object|null} List, or null if it does not exist
+ */
+function getList(id) {
+  if (!/^[\w-]+$/.test(id)) {
+    return null;
+  }
+  return readJson(listPath(id));
+}
+
+/**
+ * Find a list by name, ignoring case
+ * @param {string} name - List name
+ * @returns {Object|null} Summary
+ */
+function findListByName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return loadIndex().find(entry => entry.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Create an empty list
+ * @param {Object} fields - List fields
+ * @param {string} fields.name - Name, checked with validateListName
+ * @param {string} fields.description - Optional description
+ * @returns {Object} New list
+ */
+function createList({ name, description }) {
+  const now = new Date().toISOString();
+  return saveList({
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    description: String(description || '').trim() || null,
+    createdAt: now,
+    updatedAt: now,
+    contacts: [],
+    history: []
+  });
+}
+
+/**
+ * Rename a list or change its description
+ * @param {string} id - List id
+ * @param {Object} fields - Fields to change (name, description)
+ * @returns {Object|null} Updated list, or null if it does not exist
+ */
+function updateList(id, fields) {
+  const list = getList(id);
+  if (!list) {
+    return null;
+  }
+  if (fields.name !== undefined) {
+    list.name = fields.name.trim();
+  }
+  if (fields.description !== undefined) {
+    list.description = String(fields.description || '').trim() || null;
+  }
+  return saveList(list);
+}
+
+/**
+ * Delete a list
+ * @param {string} id - List id
+ * @returns {Object|null} Summary of the deleted list, or null if it did not exist
+ */
+function deleteList(id) {
+  const entries = loadIndex();
+  const position = entries.findIndex(entry => entry.id === id);
+  if (position === -1) {
+    return null;
+  }
+
+  const [removed] = entries.splice(position, 1);
+  writeJson(INDEX_FILE, entries);
+  const filePath = listPath(id);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+  return removed;
+}
+
+/**
+ * Normalize attribute names and values
+ * A null value removes the attribute.
+ * @param {Object} attributes - Attributes as given
+ * @returns {Object} Attributes by merge field name, values as strings or null
+ */
+function normalizeAttributes(attributes) {
+  const result = {};
+  Object.entries(attributes && typeof attributes === 'object' ? attributes : {}).forEach(([name, value]) => {
+    const field = normalizeFieldName(name);
+    if (field) {
+      result[field] = value === null ? null : String(value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Add contacts to a list, or update the attributes of existing ones
+ * Given attributes are merged into the existing ones.
+ * @param {string} id - List id
+ * @param {Array<string|Object>} contacts - Addresses, or { email, attributes } objects;
+ *   a display name ("Jane Doe <jane@example.com>") becomes the name attribute
+ * @param {Object} options - Options
+ * @param {string} options.source - Where the change came from (api, import, dashboard)
+ * @returns {Object|null} { added, updated, unchanged, invalid } addresses, or null
+ *   if the list does not exist
+ */
+function addContacts(id, contacts, options = {}) {
+  const list = getList(id);
+  if (!list) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const source = options.source || 'api';
+  const byKey = new Map(list.contacts.map(contact => [addressKey(contact.email), contact]));
+  const result = { added: [], updated: [], unchanged: [], invalid: [] };
+
+  contacts.forEach(value => {
+    const raw = value && typeof value === 'object' ? value.email : value;
+    const email = normalizeAddress(String(raw || '').trim());
+    if (!isValidAddress(email)) {
+      result.invalid.push(String(raw || ''));
+      return;
+    }
+
+    const attributes = normalizeAttributes(value && value.attributes);
+    // "Jane Doe <jane@example.com>" sets the name unless one is given
+    const { name } = parseAddress(String(raw || ''));
+    if (name && attributes.name === undefined) {
+      attributes.name = name;
+    }
+    const existing = byKey.get(addressKey(email));
+    if (!existing) {
+      const contact = { email, attributes: {}, addedAt: now, updatedAt: now };
+      Object.entries(attributes).forEach(([field, attributeValue]) => {
+        if (attributeValue !== null) contact.attributes[field] = attributeValue;
+      });
+      list.contacts.push(contact);
+      byKey.set(addressKey(email), contact);
+      list.history.push({ at: now, action: 'added', email, source });
+      result.added.push(email);
+      return;
+    }
+
+    const changes = {};
+    Object.entries(attributes).forEach(([field, attributeValue]) => {
+      const before = existing.attributes[field] === undefined ? null : existing.attributes[field];
+      if (before === attributeValue) return;
+      changes[field] = { from: before, to: attributeValue };
+      if (attributeValue === null) {
+        delete existing.attributes[field];
+      } else {
+        existing.attributes[field] = attributeValue;
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      result.unchanged.push(existing.email);
+      return;
+    }
+    existing.updatedAt = now;
+    list.history.push({ at: now, action: 'updated', email: existing.email, source, changes });
+    result.updated.push(existing.email);
+  });
+
+  if (result.added.length > 0 || result.updated.length > 0) {
+    saveList(list);
+  }
+  return result;
+}
+
+/**
+ * Remove contacts from a list
+ * @param {string} id - List id
+ * @param {string[]} emails - Addresses
+ * @param {Object} options - Options
+ * @param {string} options.source - Where the change came from (api, dashboard)
+ * @returns {Object|null} { removed, missing } addresses, or null if the list does not exist
+ */
+function removeContacts(id, emails, options = {}) {
+  const list = getList(id);
+  if (!list) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const result = { removed: [], missing: [] };
+
+  emails.forEach(value => {
+    const key = addressKey(String(value || '').trim());
+    const position = list.contacts.findIndex(contact => addressKey(contact.email) === key);
+    if (position === -1) {
+      result.missing.push(String(value || ''));
+      return;
+    }
+    const [contact] = list.contacts.splice(position, 1);
+    list.history.push({ at: now, action: 'removed', email: contact.email, source: options.source || 'api' });
+    result.removed.push(contact.email);
+  });
+
+  if (result.removed.length > 0) {
+    saveList(list);
+  }
+  return result;
+}
+
+/**
+ * Membership history of a list, newest first
+ * @param {string} id - List id
+ * @param {Object} filter - Filters
+ * @param {string} filter.email - Only changes to this contact
+ * @returns {Object[]|null} History entries, or null if the list does not exist
+ */
+function listHistory(id, filter = {}) {
+  const list = getList(id);
+  if (!list) {
+    return null;
+  }
+  const key = filter.email ? addressKey(filter.email) : null;
+  return list.history
+    .filter(entry => !key || addressKey(entry.email) === key)
+    .reverse();
+}
+
+/**
+ * Export a list as CSV: email, then one column per attribute
+ * @param {string} id - List id
+ * @returns {string|null} CSV text, or null if the list does not exist
+ */
+function exportList(id) {
+  const list = getList(id);
+  if (!list) {
+    return null;
+  }
+
+  const fields = Array.from(new Set(list.contacts.flatMap(contact => Object.keys(contact.attributes)))).sort();
+  const rows = list.contacts.map(contact =>
+    formatRow([contact.email].concat(fields.map(field => contact.attributes[field]))));
+  return [formatRow(['email'].concat(fields))].concat(rows).join('\n') + '\n';
+}
+
+/**
+ * Resolve lists into send recipients
+ * Suppressed contacts are left out. A contact on several lists is returned
+ * once per list; the send plan removes the duplicates.
+ * @param {string[]} ids - List ids
+ * @returns {Object} { recipients: [{ email, data }], suppressed: [{ email, data }],
+ *   lists: [{ id, name, contacts, suppressed }], unknown: ids that are no list }
+ */
+function resolveLists(ids) {
+  const result = { recipients: [], suppressed: [], lists: [], unknown: [] };
+
+  ids.forEach(id => {
+    const list = getList(id);
+    if (!list) {
+      result.unknown.push(id);
+      return;
+    }
+    const contacts = list.contacts.map(contact => ({ email: contact.email, data: Object.assign({}, contact.attributes) }));
+    const { allowed, suppressed } = suppressions.partitionRecipients(contacts);
+    result.recipients.push(...allowed);
+    result.suppressed.push(...suppressed);
+    result.lists.push({ id: list.id, name: list.name, contacts: contacts.length, suppressed: suppressed.length });
+  });
+
+  return result;
+}
+
+module.exports = {
+  validateListName,
+  listLists,
+  getList,
+  findListByName,
+  createList,
+  updateList,
+  deleteList,
+  addContacts,
+  removeContacts,
+  listHistory,
+  exportList,
+  resolveLists
+};
@@ -1,28 +1,42 @@
-const sgMail = require('@sendgrid/mail');
 const fs = require('fs');
-const path = require('path');
+const { getTransport } = require('../transports');
+const { withRetry } = require('../utils/retry');
+const { DEFAULT_OPTIONS: rateLimits, throttleGroup, maxBatchSize, acquireSendSlots } = require('../utils/rateLimit');
+const { extractMergeTags, renderMergeTags, buildSubstitutions, prefixMergeTags, escapeHtml } = require('../utils/mergeTags');
+const { htmlToText } = require('../utils/htmlToText');
+const { listUnsubscribeHeaders } = require('../utils/unsubscribe');
+const { detectMimeType } = require('../utils/mimeTypes');
+const { validateAddress, addressKey } = require('../shared/emailAddress');
 
-// Initialize SendGrid
-if (!process.env.SENDGRID_API_KEY) {
-  console.warn('Warning: SENDGRID_API_KEY is not set in environment variables');
-} else {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
+// Merge tags in the text part get their own substitution keys, since their
+// values must not be HTML-escaped
+const TEXT_TAG_PREFIX = 'text:';
+
+// SendGrid accepts at most 1000 addresses (to, cc and bcc together) per request
+const MAX_ADDRESSES_PER_REQUEST = 1000;
 
 /**
- * Send email using SendGrid
+ * Send email through the configured transport
  * @param {Object} emailData - Email data object
  * @param {string|string[]} emailData.to - Recipient email(s)
  * @param {string} emailData.subject - Email subject
  * @param {string} emailData.html - HTML content
+ * @param {string} emailData.text - Plain-text part (default: generated from the HTML)
  * @param {string} emailData.from - Sender email
  * @param {string} emailData.fromName - Sender name
+ * @param {string[]} emailData.cc - CC addresses
+ * @param {string[]} emailData.bcc - BCC addresses
+ * @param {string} emailData.replyTo - Reply-To address
+ * @param {Object} emailData.headers - Custom X- headers by name; a single recipient also
+ *   gets List-Unsubscribe headers
  * @param {Array} emailData.attachments - Array of attachment objects with filename and path
- * @returns {Promise<Object>} SendGrid response
+ * @param {Object} emailData.customArgs - SendGrid custom args, echoed back in webhook events
+ * @param {string[]} emailData.categories - SendGrid categories, for splitting statistics
+ * @returns {Promise<Object>} Send result with messageId and statusCode
  */
 async function sendEmail(emailData) {
   try {
-    const { to, subject, html, from, fromName, attachments = [] } = emailData;
+    const { to, subject, html, text, from, fromName, attachments = [] } = emailData;
 
     // Prepare attachment data
     const attachmentData = [];
@@ -37,7 +51,7 @@ async function sendEmail(emailData) {
         const attachment = {
           content: fileContent.toString('base64'),
           filename: att.filename,
-          type: getMimeType(att.path),
+          type: att.contentType || detectMimeType(att).type,
           disposition: att.disposition || 'attachment'
         };
         
@@ -53,27 +67,43 @@ async function sendEmail(emailData) {
       }
     }
 
+    const toList = Array.isArray(to) ? to : [to];
+    const cc = excludeAddresses(emailData.cc, toList);
+    const bcc = excludeAddresses(emailData.bcc, toList.concat(cc));
+
     const msg = {
-      to: Array.isArray(to) ? to : [to],
+      to: toList,
       from: {
         email: from,
         name: fromName || ''
       },
       subject: subject,
+      text: text || htmlToText(html),
       html: html,
       attachments: attachmentData
     };
+    if (cc.length > 0) msg.cc = cc;
+    if (bcc.length > 0) msg.bcc = bcc;
+    if (emailData.replyTo) msg.replyTo = emailData.replyTo;
 
-    const response = await sgMail.send(msg);
+    // One-click unsubscribe for the recipient (RFC 8058)
+    const headers = Object.assign({}, emailData.headers, toList.length === 1 ? listUnsubscribeHeaders(toList[0]) : {});
+    if (Object.keys(headers).length > 0) msg.headers = headers;
+    if (emailData.customArgs) msg.customArgs = emailData.customArgs;
+    if (emailData.categories && emailData.categories.length > 0) msg.categories = emailData.categories;
+
+    await acquireSendSlots(toList.concat(cc, bcc));
+    const { result: response, attempts } = await withRetry(() => getTransport().send(msg), emailData.retry);
     
     return {
       success: true,
-      messageId: response[0].headers['x-message-id'] || 'unknown',
-      statusCode: response[0].statusCode
+      messageId: response.messageId || 'unknown',
+      statusCode: response.statusCode,
+      attempts
     };
 
   } catch (error) {
-    console.error('SendGrid Error:', error);
+    console.error('Send Error:', error);
     if (error.response) {
       console.error('Error details:', error.response.body);
     }
@@ -81,40 +111,33 @@ async function sendEmail(emailData) {
   }
 }
 
-/**
- * Get MIME type based on file extension
- * @param {string} filePath - Path to the file
- * @returns {string} MIME type
- */
-function getMimeType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.webp': 'image/webp',
-    '.pdf': 'application/pdf',
-    '.doc': 'application/msword',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.txt': 'text/plain',
-    '.zip': 'application/zip'
-  };
-  return mimeTypes[ext] || 'application/octet-stream';
-}
-
 /**
  * Send emails to multiple recipients in batches
  * @param {Object} emailData - Email data object
- * @param {string[]} emailData.recipients - Array of recipient emails
+ * @param {Array<string|Object>} emailData.recipients - Recipient emails, or objects with
+ *   `email` and `data` (merge fields keyed by normalized column name)
  * @param {string} emailData.subject - Email subject
  * @param {string} emailData.html - HTML content
+ * @param {string} emailData.text - Plain-text part (default: generated from the HTML)
  * @param {string} emailData.from - Sender email
  * @param {string} emailData.fromName - Sender name
+ * @param {string[]} emailData.cc - CC addresses, added to every recipient's message
+ * @param {string[]} emailData.bcc - BCC addresses (e.g. an archive), added to every recipient's message
+ * @param {string} emailData.replyTo - Reply-To address
+ * @param {Object} emailData.headers - Custom X- headers by name; every recipient also gets
+ *   their own List-Unsubscribe headers
  * @param {Array} emailData.attachments - Array of attachment objects
- * @param {number} emailData.batchSize - Number of emails per batch (default: 100)
+ * @param {Object} emailData.customArgs - SendGrid custom args, echoed back in webhook events
+ * @param {string[]} emailData.categories - SendGrid categories, for splitting statistics
+ * @param {number} emailData.batchSize - Number of emails per batch (default: SEND_BATCH_SIZE or 100)
+ * @param {number} emailData.concurrency - Batches sent in parallel (default: SEND_CONCURRENCY or 2)
  * @param {Function} emailData.progressCallback - Callback function for progress updates
- * @returns {Promise<Object>} Results object with success/failure counts
+ * @param {Object} emailData.retry - Retry options passed to withRetry (retries, baseDelay, maxDelay)
+ * @param {Function} emailData.onBatchStart - Awaited with the batch's emails before it is sent;
+ *   resolving to false stops the send and reports the remaining recipients as not attempted
+ * @param {Function} emailData.onBatchComplete - Awaited with the batch's per-recipient results;
+ *   invalid addresses are reported first as failed, in a batch of their own
+ * @returns {Promise<Object>} Results object with per-recipient results and success/failure counts
  */
 async function sendBulkEmails(emailData) {
   try {
@@ -124,33 +147,56 @@ async function sendBulkEmails(emailData) {
       html, 
       from, 
       fromName, 
+      cc = [],
+      bcc = [],
+      replyTo,
+      headers,
+      customArgs,
+      categories,
       attachments = [],
-      batchSize = 100,
-      progressCallback
+      batchSize = rateLimits.batchSize,
+      concurrency = rateLimits.concurrency,
+      progressCallback,
+      retry,
+      onBatchStart,
+      onBatchComplete
     } = emailData;
 
-    console.log("send email: ", emailData);
-    
     if (!recipients || recipients.length === 0) {
       throw new Error('No recipients provided');
     }
 
-    // Validate and clean email addresses
-    const validRecipients = recipients
-      .map(email => email.trim())
-      .filter(email => {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    // Validate and clean email addresses; invalid ones fail with the reason
+    const validRecipients = [];
+    const invalidResults = [];
+    recipients
+      .map(recipient => typeof recipient === 'string'
+        ? { email: recipient.trim(), data: {} }
+        : { email: (recipient.email || '').trim(), data: recipient.data || {} })
+      .forEach(recipient => {
+        const check = validateAddress(recipient.email);
+        if (check.valid) {
+          validRecipients.push(recipient);
+        } else {
+          invalidResults.push({ email: recipient.email, status: 'failed', error: `Invalid email address: ${check.reason}`, attempts: 0 });
+        }
       });
 
+    if (invalidResults.length > 0) {
+      console.warn(`Skipping ${invalidResults.length} invalid address(es):`, invalidResults.map(result => `${result.email} (${result.error})`));
+      if (onBatchComplete) {
+        await onBatchComplete(invalidResults);
+      }
+    }
+
     if (validRecipients.length === 0) {
       throw new Error('No valid email addresses found');
     }
 
-    const totalRecipients = validRecipients.length;
-    let successCount = 0;
-    let failureCount = 0;
+    const totalRecipients = validRecipients.length + invalidResults.length;
+    const results = [...invalidResults];
     const errors = [];
+    let notAttempted = [];
     
     console.log(`Starting bulk send to ${totalRecipients} recipients`);
 
@@ -167,7 +213,7 @@ async function sendBulkEmails(emailData) {
         const attachment = {
           content: fileContent.toString('base64'),
           filename: att.filename,
-          type: getMimeType(att.path),
+          type: att.contentType || detectMimeType(att).type,
           disposition: att.disposition || 'attachment'
         };
         
@@ -183,71 +229,133 @@ async function sendBulkEmails(emailData) {
       }
     }
 
-    // Process in batches to avoid rate limits
-    for (let i = 0; i < validRecipients.length; i += batchSize) {
-      const batch = validRecipients.slice(i, i + batchSize);
-      
+    // CC and BCC copies count towards the per-request address limit
+    const addressesPerRecipient = 1 + cc.length + bcc.length;
+    const batchLimit = Math.max(1, Math.min(batchSize, Math.floor(MAX_ADDRESSES_PER_REQUEST / addressesPerRecipient)));
+
+    const text = emailData.text || htmlToText(html);
+    const hasSubjectTags = extractMergeTags(subject).length > 0;
+    const hasHtmlTags = extractMergeTags(html).length > 0;
+    const hasTextTags = extractMergeTags(text).length > 0;
+
+    /**
+     * CC and BCC copies of one recipient's message, leaving out the recipient
+     * and addresses already copied
+     * @param {string} email - Recipient address
+     * @returns {Object} { cc, bcc } addresses
+     */
+    const copiesFor = email => {
+      const recipientCc = excludeAddresses(cc, [email]);
+      return { cc: recipientCc, bcc: excludeAddresses(bcc, [email].concat(recipientCc)) };
+    };
+
+    /**
+     * Send one batch. Each recipient gets its own personalization so nobody
+     * can see the other addresses in the batch.
+     * @param {Array} batchRecipients - Recipients ({ email, data })
+     * @param {number} batchNumber - Batch number for logging
+     * @returns {Promise<Array>} Per-recipient results
+     */
+    const sendBatch = async (batchRecipients, batchNumber) => {
+      const batch = batchRecipients.map(recipient => recipient.email);
+      const batchResults = [];
+
       try {
         const msg = {
-          to: batch,
+          personalizations: batchRecipients.map(recipient => {
+            const personalization = {
+              to: [{ email: recipient.email }],
+              headers: listUnsubscribeHeaders(recipient.email)
+            };
+            const { cc: recipientCc, bcc: recipientBcc } = copiesFor(recipient.email);
+            if (recipientCc.length > 0) {
+              personalization.cc = recipientCc.map(email => ({ email }));
+            }
+            if (recipientBcc.length > 0) {
+              personalization.bcc = recipientBcc.map(email => ({ email }));
+            }
+            const mergeData = Object.assign({ email: recipient.email }, recipient.data);
+            if (hasSubjectTags) {
+              personalization.subject = renderMergeTags(subject, mergeData);
+            }
+            if (hasHtmlTags || hasTextTags) {
+              personalization.substitutions = Object.assign(
+                buildSubstitutions(html, mergeData, { escape: escapeHtml }),
+                buildSubstitutions(text, mergeData, { prefix: TEXT_TAG_PREFIX })
+              );
+            }
+            return personalization;
+          }),
           from: {
             email: from,
             name: fromName || ''
           },
           subject: subject,
+          text: hasTextTags ? prefixMergeTags(text, TEXT_TAG_PREFIX) : text,
           html: html,
           attachments: attachmentData
         };
+        if (replyTo) msg.replyTo = replyTo;
+        if (headers && Object.keys(headers).length > 0) msg.headers = headers;
+        if (customArgs) msg.customArgs = customArgs;
+        if (categories && categories.length > 0) msg.categories = categories;
 
-        console.log(`Sending batch ${Math.floor(i/batchSize) + 1} to ${batch.length} recipients:`, batch);
-        const response = await sgMail.send(msg);
+        console.log(`Sending batch ${batchNumber} to ${batch.length} recipients`);
+        const { result: response, attempts, attemptErrors } = await withRetry(
+          () => getTransport().send(msg),
+          Object.assign({}, retry, {
+            onRetry: ({ attempt, error, delay }) => {
+              console.warn(`Batch ${batchNumber} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+            }
+          })
+        );
         
-        // SendGrid returns 202 Accepted for successful sends
-        // Response is an array, check first element
-        if (response && Array.isArray(response) && response.length > 0) {
-          const statusCode = response[0].statusCode;
-          if (statusCode === 202 || statusCode === 200) {
-            successCount += batch.length;
-            console.log(`✓ Batch sent successfully. Status: ${statusCode}, Message ID: ${response[0].headers['x-message-id'] || 'N/A'}`);
-          } else {
-            console.warn(`⚠ Unexpected response status: ${statusCode}`, response);
-            failureCount += batch.length;
+        // SendGrid returns 202 Accepted for successful sends; other transports
+        // report 202 too and list individual recipients that failed
+        const statusCode = response.statusCode;
+        if (statusCode === 202 || statusCode === 200) {
+          const failed = new Map((response.failures || []).map(failure => [failure.email, failure.error]));
+          batch.forEach(email => {
+            if (failed.has(email)) {
+              batchResults.push({ email, status: 'failed', error: failed.get(email), attempts });
+            } else {
+              batchResults.push({ email, status: 'sent', messageId: response.messageId, attempts });
+            }
+          });
+          if (attempts > 1) {
             errors.push({
               batch: batch,
-              error: `Unexpected status code: ${statusCode}`,
-              response: response
+              error: `Sent after ${attempts} attempts`,
+              recovered: true,
+              attempts: attempts,
+              attemptErrors: attemptErrors
+            });
+          }
+          if (failed.size > 0) {
+            errors.push({
+              batch: Array.from(failed.keys()),
+              error: Array.from(new Set(failed.values())).join('; ')
             });
           }
+          console.log(`✓ Batch sent. Status: ${statusCode}, Message ID: ${response.messageId || 'N/A'}, Failed: ${failed.size}`);
         } else {
-          console.warn(`⚠ Invalid response format:`, response);
-          failureCount += batch.length;
+          console.warn(`⚠ Unexpected response status: ${statusCode}`, response);
+          const error = `Unexpected status code: ${statusCode}`;
+          batch.forEach(email => batchResults.push({ email, status: 'failed', error, attempts }));
           errors.push({
             batch: batch,
-            error: 'Invalid response format',
-            response: response
+            error: error,
+            response: response,
+            attempts: attempts
           });
         }
-
-        if (progressCallback) {
-          progressCallback({
-            processed: Math.min(i + batchSize, totalRecipients),
-            total: totalRecipients,
-            success: successCount,
-            failed: failureCount
-          });
-        }
-
-        // Small delay between batches to respect rate limits
-        if (i + batchSize < validRecipients.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
       } catch (error) {
         console.error(`Error sending batch to ${batch.length} recipients:`, error);
         let errorDetails = error.message;
         
         if (error.response) {
           const responseBody = error.response.body;
-          console.error('SendGrid API Error Details:', {
+          console.error('API Error Details:', {
             statusCode: error.code || error.response.statusCode,
             body: responseBody,
             headers: error.response.headers
@@ -263,51 +371,92 @@ async function sendBulkEmails(emailData) {
           }
         }
         
-        failureCount += batch.length;
+        const attempts = error.attempts || 1;
+        batch.forEach(email => batchResults.push({ email, status: 'failed', error: errorDetails, attempts }));
         errors.push({
           batch: batch,
           error: errorDetails,
           code: error.code,
-          details: error.response ? error.response.body : undefined
+          details: error.response ? error.response.body : undefined,
+          retryable: !!error.retryable,
+          attempts: attempts,
+          attemptErrors: error.attemptErrors
+        });
+      }
+
+      return batchResults;
+    };
+
+    // Up to `concurrency` batches are in flight at once, each waiting for the
+    // send-rate limits (global and per recipient domain) before it goes out
+    const batches = buildBatches(validRecipients, batchLimit, addressesPerRecipient);
+    const started = batches.map(() => false);
+    let nextBatch = 0;
+    let stopRequested = false;
+
+    const worker = async () => {
+      while (!stopRequested && nextBatch < batches.length) {
+        const index = nextBatch++;
+        const batchRecipients = batches[index];
+        const batch = batchRecipients.map(recipient => recipient.email);
+
+        if (stopRequested || (onBatchStart && (await onBatchStart(batch)) === false)) {
+          stopRequested = true;
+          break;
+        }
+        started[index] = true;
+
+        // Every CC and BCC copy is a message of its own for the limits
+        const addresses = batch.flatMap(email => {
+          const copies = copiesFor(email);
+          return [email].concat(copies.cc, copies.bcc);
         });
+        const waited = await acquireSendSlots(addresses);
+        if (waited > 1000) {
+          console.log(`Batch ${index + 1} waited ${waited}ms for the send-rate limit`);
+        }
+
+        const batchResults = await sendBatch(batchRecipients, index + 1);
+        results.push(...batchResults);
+
+        if (onBatchComplete) {
+          await onBatchComplete(batchResults);
+        }
 
         if (progressCallback) {
           progressCallback({
-            processed: Math.min(i + batchSize, totalRecipients),
+            processed: results.length,
             total: totalRecipients,
-            success: successCount,
-            failed: failureCount
+            success: countByStatus(results, 'sent'),
+            failed: countByStatus(results, 'failed')
           });
         }
       }
-    }
+    };
 
-    // Final validation
-    const finalSum = successCount + failureCount;
-    if (finalSum !== totalRecipients) {
-      console.error(`Final count mismatch! Expected: ${totalRecipients}, Got: ${finalSum} (Success: ${successCount}, Failed: ${failureCount})`);
-      // Adjust failure count to match total
-      if (finalSum < totalRecipients) {
-        failureCount = totalRecipients - successCount;
-      } else if (finalSum > totalRecipients) {
-        // This shouldn't happen, but if it does, cap the counts
-        const excess = finalSum - totalRecipients;
-        if (successCount > totalRecipients) {
-          successCount = totalRecipients;
-          failureCount = 0;
-        } else {
-          failureCount = totalRecipients - successCount;
-        }
-      }
+    const workers = Math.max(1, Math.min(concurrency, batches.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    if (stopRequested) {
+      notAttempted = batches
+        .filter((batch, index) => !started[index])
+        .flatMap(batch => batch.map(recipient => recipient.email));
+      console.log(`Bulk send stopped; ${notAttempted.length} recipients not attempted`);
     }
+
+    const successCount = countByStatus(results, 'sent');
+    const failureCount = countByStatus(results, 'failed');
     
-    console.log(`Bulk send completed. Total: ${totalRecipients}, Success: ${successCount}, Failed: ${failureCount}`);
+    console.log(`Bulk send completed. Total: ${totalRecipients}, Success: ${successCount}, Failed: ${failureCount}, Not attempted: ${notAttempted.length}`);
     
     return {
       success: successCount > 0,
       total: totalRecipients,
       successCount,
       failureCount,
+      results,
+      stopped: notAttempted.length > 0,
+      notAttempted,
       errors: errors.length > 0 ? errors : undefined
     };
 
@@ -317,6 +466,75 @@ async function sendBulkEmails(emailData) {
   }
 }
 
+/**
+ * Split recipients into batches
+ * Recipients of domains with their own send-rate limit are batched per
+ * domain, and no batch is larger than its limits allow in one go. Batches of
+ * different groups are interleaved so a slow domain does not hold up the rest.
+ * @param {Array<{email: string}>} recipients - Recipients
+ * @param {number} batchLimit - Largest batch allowed by the request limits
+ * @param {number} addressesPerRecipient - Messages per recipient, counting CC and BCC copies
+ * @returns {Array<Array>} Batches, in sending order
+ */
+function buildBatches(recipients, batchLimit, addressesPerRecipient = 1) {
+  const groups = new Map();
+  recipients.forEach(recipient => {
+    const group = throttleGroup(recipient.email);
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(recipient);
+  });
+
+  const queues = Array.from(groups.entries()).map(([group, members]) => {
+    const size = Math.max(1, Math.min(batchLimit, Math.floor(maxBatchSize(group) / addressesPerRecipient)));
+    const chunks = [];
+    for (let i = 0; i < members.length; i += size) {
+      chunks.push(members.slice(i, i + size));
+    }
+    return chunks;
+  });
+
+  const batches = [];
+  for (let round = 0; queues.some(queue => round < queue.length); round++) {
+    queues.forEach(queue => {
+      if (round < queue.length) {
+        batches.push(queue[round]);
+      }
+    });
+  }
+  return batches;
+}
+
+/**
+ * Count per-recipient results with the given status
+ * @param {Array} results - Per-recipient result objects
+ * @param {string} status - Status to count ('sent' or 'failed')
+ * @returns {number} Number of matching results
+ */
+function countByStatus(results, status) {
+  return results.filter(result => result.status === status).length;
+}
+
+/**
+ * Drop addresses already used in a message, and repeats within the list
+ * SendGrid rejects a personalization that names an address more than once.
+ * @param {string[]} addresses - Addresses to filter
+ * @param {string[]} exclude - Addresses already in the message
+ * @returns {string[]} Remaining addresses
+ */
+function excludeAddresses(addresses = [], exclude) {
+  const taken = new Set(exclude.map(address => addressKey(address)));
+  return addresses.filter(address => {
+    const key = addressKey(address);
+    if (taken.has(key)) {
+      return false;
+    }
+    taken.add(key);
+    return true;
+  });
+}
+
 module.exports = {
   sendEmail,
   sendBulkEmails
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const sendHistory = require('./sendHistory');
+const suppressions = require('./suppressions');
+
+/**
+ * SendGrid Event Webhook
+ *
+ * SendGrid POSTs batches of events (processed, delivered, deferred, bounce,
+ * dropped, spamreport, open, click, ...) as a JSON array. Each event is matched
+ * to our send history through the `send_id` custom arg every message carries,
+ * or else through its sg_message_id, which starts with the x-message-id we got
+ * back when sending.
+ *
+ * With SENDGRID_WEBHOOK_PUBLIC_KEY set (Mail Settings > Signed Event Webhook),
+ * requests must carry a valid ECDSA signature over timestamp + raw body, and
+ * the timestamp must be within MAX_TIMESTAMP_SKEW of now so a captured request
+ * cannot be replayed later.
+ * Without it every request is rejected, unless SENDGRID_WEBHOOK_ALLOW_UNSIGNED
+ * is true, e.g. for posting recorded payloads locally.
+ *
+ * Only events matched to a recipient of one of our sends suppress addresses,
+ * so a forged event cannot block mail to arbitrary addresses.
+ */
+
+const SIGNATURE_HEADER = 'x-twilio-email-event-webhook-signature';
+const TIMESTAMP_HEADER = 'x-twilio-email-event-webhook-timestamp';
+const MAX_TIMESTAMP_SKEW = 5 * 60 * 1000;
+
+let publicKey;
+
+/**
+ * Verification key from SENDGRID_WEBHOOK_PUBLIC_KEY (base64 DER, as SendGrid
+ * shows it, or PEM)
+ * @returns {crypto.KeyObject|null} Key, or null when signing is not configured
+ */
+function getPublicKey() {
+  if (publicKey === undefined) {
+    const key = (process.env.SENDGRID_WEBHOOK_PUBLIC_KEY || '').trim();
+    if (!key) {
+      publicKey = null;
+    } else if (key.includes('BEGIN PUBLIC KEY')) {
+      publicKey = crypto.createPublicKey(key);
+    } else {
+      publicKey = crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+    }
+  }
+  return publicKey;
+}
+
+/**
+ * Whether incoming events must be signed
+ * @returns {boolean} True when a verification key is configured
+ */
+function isSigningEnabled() {
+  return getPublicKey() !== null;
+}
+
+/**
+ * Whether unsigned events are accepted when no verification key is set
+ * @returns {boolean} True when SENDGRID_WEBHOOK_ALLOW_UNSIGNED is true
+ */
+function isUnsignedAllowed() {
+  return String(process.env.SENDGRID_WEBHOOK_ALLOW_UNSIGNED || '').toLowerCase() === 'true';
+}
+
+/**
+ * Check the signature of a webhook request
+ * @param {Buffer} payload - Raw request body
+ * @param {Object} headers - Request headers (lowercased names)
+ * @returns {boolean} True when the signature is valid and recent, or signing is
+ *   not configured and unsigned events are allowed
+ */
+function verifySignature(payload, headers) {
+  const key = getPublicKey();
+  if (!key) {
+    return isUnsignedAllowed();
+  }
+
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = headers[TIMESTAMP_HEADER];
+  if (!signature || !timestamp) {
+    return false;
+  }
+  // Unix seconds
+  const signedAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > MAX_TIMESTAMP_SKEW) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.concat([Buffer.from(timestamp, 'utf8'), payload]),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the send history record an event belongs to
+ * @param {Object} event - SendGrid event
+ * @returns {string|null} Record id
+ */
+function findSendId(event) {
+  if (event.send_id) {
+    return String(event.send_id);
+  }
+  const messageId = String(event.sg_message_id || '').split('.')[0];
+  return sendHistory.findSendByMessageId(messageId);
+}
+
+/**
+ * Suppress addresses that hard-bounced or reported spam
+ * @param {Object[]} events - SendGrid events
+ * @returns {string[]} Newly suppressed addresses
+ */
+function suppressFromEvents(events) {
+  const entries = [];
+  events.forEach(event => {
+    if (event.event === 'bounce' && event.type !== 'blocked') {
+      entries.push({ email: event.email, reason: 'bounce' });
+    } else if (event.event === 'spamreport') {
+      entries.push({ email: event.email, reason: 'spam' });
+    }
+  });
+
+  if (entries.length === 0) {
+    return [];
+  }
+  return suppressions.addSuppressions(entries, { source: 'webhook' }).added.map(entry => entry.email);
+}
+
+/**
+ * Record a batch of webhook events
+ * @param {Object[]} events - SendGrid events
+ * @returns {{received: number, matched: number, unmatched: number, suppressed: string[]}} Outcome
+ */
+function processEvents(events) {
+  const bySend = new Map();
+  let unmatched = 0;
+
+  events.forEach(event => {
+    const sendId = findSendId(event);
+    if (!sendId) {
+      unmatched++;
+      return;
+    }
+    if (!bySend.has(sendId)) {
+      bySend.set(sendId, []);
+    }
+    bySend.get(sendId).push(event);
+  });
+
+  const matched = [];
+  bySend.forEach((sendEvents, sendId) => {
+    const recorded = sendHistory.recordDeliveryEvents(sendId, sendEvents);
+    matched.push(...recorded);
+    unmatched += sendEvents.length - recorded.length;
+  });
+
+  return {
+    received: events.length,
+    matched: matched.length,
+    unmatched,
+    suppressed: suppressFromEvents(matched)
+  };
+}
+
+module.exports = {
+  isSigningEnabled,
+  isUnsignedAllowed,
+  verifySignature,
+  processEvents
+};
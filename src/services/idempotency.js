@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../utils/jsonStore');
+
+/**
+ * Idempotent sends
+ *
+ * A client may send an Idempotency-Key with /api/send-email (the dashboard
+ * makes one per compose session). The first request with a key claims it; a
+ * repeat while it is still running gets a 409, and a repeat after it finished
+ * gets the original response back instead of a second send. Keys whose request
+ * failed are released so the send can be retried with the same key.
+ *
+ * Finished keys are kept in data/idempotency.json for IDEMPOTENCY_TTL_HOURS
+ * (default 24). Each key is tied to the content fingerprint of its send, so a
+ * key reused for a different message is rejected rather than replayed.
+ *
+ * Independently of keys, the fingerprint (recipients, subject and HTML) is
+ * compared with recent sends so that an accidental second campaign asks for
+ * confirmation first, see DUPLICATE_WINDOW.
+ */
+
+const KEYS_FILE = dataPath('idempotency.json');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// How long a finished key replays its response
+const KEY_TTL = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * HOUR;
+
+// Sends with the same fingerprint this recent need confirmation
+const DUPLICATE_WINDOW = (parseFloat(process.env.DUPLICATE_SEND_WINDOW_MINUTES) || 60) * MINUTE;
+
+const MAX_KEY_LENGTH = 255;
+
+// Key -> { key, fingerprint, status: 'in_progress' | 'completed', createdAt, statusCode, body }
+let entries = null;
+
+/**
+ * Load finished keys (cached after the first read), dropping expired ones
+ * In-progress keys only live in memory: a request cut off by a restart has an
+ * unknown outcome and must not block its key.
+ * @returns {Map<string, Object>} Entries by key
+ */
+function loadEntries() {
+  if (!entries) {
+    entries = new Map(readJson(KEYS_FILE, []).map(entry => [entry.key, entry]));
+  }
+
+  const cutoff = Date.now() - KEY_TTL;
+  entries.forEach((entry, key) => {
+    if (new Date(entry.createdAt).getTime() < cutoff) {
+      entries.delete(key);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Persist finished keys
+ */
+function saveEntries() {
+  writeJson(KEYS_FILE, Array.from(loadEntries().values()).filter(entry => entry.status === 'completed'));
+}
+
+/**
+ * Check a client-supplied key
+ * @param {string} key - Idempotency key
+ * @returns {string|null} Error message, or null when the key is usable
+ */
+function validateKey(key) {
+  if (typeof key !== 'string' || !key.trim()) {
+    return 'Idempotency key must not be empty';
+  }
+  if (key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return `Idempotency key must be at most ${MAX_KEY_LENGTH} printable ASCII characters without spaces`;
+  }
+  return null;
+}
+
+/**
+ * Fingerprint of a send's content
+ * Recipient order and address case do not matter.
+ * @param {Object} send - Send content
+ * @param {Array<{email: string}>} send.recipients - Recipients
+ * @param {string} send.subject - Subject
+ * @param {string} send.html - HTML as written, before images are replaced by CIDs
+ * @returns {string} Hex SHA-256 digest
+ */
+function contentFingerprint({ recipients, subject, html }) {
+  const emails = Array.from(new Set(recipients.map(recipient => recipient.email.trim().toLowerCase()))).sort();
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([emails, subject || '', html || '']))
+    .digest('hex');
+}
+
+/**
+ * Look up a key
+ * @param {string} key - Idempotency key
+ * @param {string} fingerprint - Fingerprint of the request's send
+ * @returns {Object} { state: 'new' }, { state: 'in_progress', entry },
+ *   { state: 'completed', entry } or { state: 'mismatch', entry } when the key
+ *   belongs to a different send
+ */
+function lookupKey(key, fingerprint) {
+  const entry = loadEntries().get(key);
+  if (!entry) {
+    return { state: 'new' };
+  }
+  if (entry.fingerprint !== fingerprint) {
+    return { state: 'mismatch', entry };
+  }
+  return { state: entry.status, entry };
+}
+
+/**
+ * Claim a key for a request that is about to send
+ * @param {string} key - Idempotency key
+ * @param {string} fingerprint - Fingerprint of the send
+ */
+function claimKey(key, fingerprint) {
+  loadEntries().set(key, { key, fingerprint, status: 'in_progress', createdAt: new Date().toISOString() });
+}
+
+/**
+ * Store the response of a finished request for replays
+ * @param {string} key - Idempotency key
+ * @param {number} statusCode - HTTP status sent
+ * @param {Object} body - JSON body sent
+ */
+function completeKey(key, statusCode, body) {
+  const entry = loadEntries().get(key);
+  if (!entry) {
+    return;
+  }
+  Object.assign(entry, { status: 'completed', completedAt: new Date().toISOString(), statusCode, body });
+  saveEntries();
+}
+
+/**
+ * Release a key whose request failed, so it can be retried
+ * @param {string} key - Idempotency key
+ */
+function releaseKey(key) {
+  loadEntries().delete(key);
+}
+
+/**
+ * Describe how long ago something happened
+ * @param {string} isoDate - ISO date
+ * @returns {string} e.g. "5 minutes ago"
+ */
+function timeAgo(isoDate) {
+  const minutes = Math.round((Date.now() - new Date(isoDate).getTime()) / MINUTE);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+}
+
+module.exports = {
+  DUPLICATE_WINDOW,
+  validateKey,
+  contentFingerprint,
+  lookupKey,
+  claimKey,
+  completeKey,
+  releaseKey,
+  timeAgo
+};
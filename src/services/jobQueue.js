@@ -0,0 +1,773 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const emailService = require('./emailService');
+const sendHistory = require('./sendHistory');
+const suppressions = require('./suppressions');
+const abTest = require('./abTest');
+const { dataPath, ensureDir, readJson, writeJson } = require('../utils/jsonStore');
+const { tagCustomArgs } = require('../utils/tags');
+
+/**
+ * Persistent bulk-send job queue
+ *
+ * Each job lives in data/jobs/<id>/ with a job.json file holding the message,
+ * its copied attachments and a per-recipient state (pending, sending, sent,
+ * failed). The state is written before and after every batch, so after a
+ * restart the worker resumes with the recipients that are still pending.
+ * Recipients caught mid-batch ("sending") may or may not have received the
+ * mail; they are marked failed rather than sent a second copy.
+ *
+ * Jobs created with a `scheduledAt` time wait in the "scheduled" state until
+ * the scheduler moves them to "queued". Because the schedule lives in the job
+ * file, it survives restarts; jobs that fell due while the server was down go
+ * out as soon as it starts.
+ *
+ * Running jobs can be paused or cancelled; the request takes effect before the
+ * next batch. A paused job goes back to the queue when resumed. A cancelled
+ * job marks its remaining recipients "skipped" (never attempted).
+ *
+ * A/B test jobs send each test-cohort recipient their variant and keep the
+ * rest "held". Once the cohort is done the job waits as "awaiting_winner"
+ * until sendWinner releases the held recipients with the winning variant.
+ */
+
+const JOBS_DIR = dataPath('jobs');
+
+// Statuses after which a job no longer changes
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Longest the scheduler sleeps before re-checking, so clock changes are noticed
+const MAX_SCHEDULER_DELAY = 60 * 1000;
+
+// Emits 'progress' events ({ id, status, counts, failures }) as jobs advance
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Pause or cancel requests for running jobs, honoured before the next batch
+const stopRequests = new Map();
+
+// Shortest time between send history updates for batch progress of one job;
+// status changes are always recorded
+const HISTORY_PROGRESS_INTERVAL = 2 * 1000;
+
+// Last status written to the send history per job, and when: { state, at }
+const recordedStates = new Map();
+
+let processing = false;
+let schedulerTimer = null;
+
+/**
+ * Path of a job's directory
+ * @param {string} id - Job id
+ * @returns {string} Directory path
+ */
+function jobDir(id) {
+  return path.join(JOBS_DIR, id);
+}
+
+/**
+ * Load a job from disk
+ * @param {string} id - Job id
+ * @returns {Object|null} Job or null if it does not exist
+ */
+function loadJob(id) {
+  if (!/^[\w-]+$/.test(id)) {
+    return null;
+  }
+  return readJson(path.join(jobDir(id), 'job.json'));
+}
+
+/**
+ * Persist a job to disk
+ * The send history is updated when the status changes and, throttled, after
+ * batches, so per-recipient outcomes and message ids show up while a long job
+ * is still running.
+ * @param {Object} job - Job object
+ * @param {Object} options - Options
+ * @param {boolean} options.progress - The save follows a finished batch
+ */
+function saveJob(job, options = {}) {
+  job.updatedAt = new Date().toISOString();
+  writeJson(path.join(jobDir(job.id), 'job.json'), job);
+
+  const state = `${job.status}|${job.scheduledAt || ''}`;
+  const recorded = recordedStates.get(job.id);
+  if (!recorded || recorded.state !== state ||
+      (options.progress && Date.now() - recorded.at >= HISTORY_PROGRESS_INTERVAL)) {
+    recordedStates.set(job.id, { state, at: Date.now() });
+    try {
+      sendHistory.recordJob(job);
+    } catch (error) {
+      console.error(`Failed to record job ${job.id} in the send history:`, error.message);
+    }
+  }
+}
+
+/**
+ * Load every job, oldest first
+ * @returns {Object[]} Jobs
+ */
+function loadAllJobs() {
+  if (!fs.existsSync(JOBS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(JOBS_DIR)
+    .map(id => {
+      try {
+        return loadJob(id);
+      } catch (error) {
+        console.error(`Skipping unreadable job ${id}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Count recipients per state
+ * @param {Object} job - Job object
+ * @returns {Object} Counts for total, pending, sending, sent, failed, skipped and held
+ */
+function countRecipients(job) {
+  const counts = { total: job.recipients.length, pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0, held: 0 };
+  job.recipients.forEach(recipient => {
+    counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Build a progress event for a job
+ * @param {Object} job - Job object
+ * @param {Array} failures - Failures to report ({ email, error }); defaults to all failed recipients
+ * @returns {Object} Progress event
+ */
+function progressEvent(job, failures) {
+  return {
+    id: job.id,
+    status: job.status,
+    stopRequested: stopRequests.get(job.id),
+    finished: FINISHED_STATUSES.includes(job.status),
+    counts: countRecipients(job),
+    failures: failures || job.recipients
+      .filter(recipient => recipient.status === 'failed')
+      .map(recipient => ({ email: recipient.email, error: recipient.error }))
+  };
+}
+
+/**
+ * Notify progress listeners about a job
+ * @param {Object} job - Job object
+ * @param {Array} failures - New failures since the last event
+ */
+function emitProgress(job, failures = []) {
+  events.emit('progress', progressEvent(job, failures));
+}
+
+/**
+ * Public view of a job (without the message body and full recipient list)
+ * @param {Object} job - Job object
+ * @param {Object} options - Options
+ * @param {boolean} options.includeRecipients - Include the per-recipient state
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job, options = {}) {
+  const summary = {
+    id: job.id,
+    status: job.status,
+    subject: job.message.subject,
+    createdAt: job.createdAt,
+    scheduledAt: job.scheduledAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt,
+    stopRequested: stopRequests.get(job.id),
+    counts: countRecipients(job),
+    tags: job.tags,
+    failedRecipients: job.recipients
+      .filter(recipient => recipient.status === 'failed')
+      .map(recipient => ({ email: recipient.email, error: recipient.error })),
+    notAttemptedRecipients: job.recipients
+      .filter(recipient => recipient.status === 'skipped')
+      .map(recipient => recipient.email),
+    errors: job.errors
+  };
+
+  if (job.abTest) {
+    summary.abTest = summarizeAbTest(job);
+  }
+
+  if (options.includeRecipients) {
+    summary.recipients = job.recipients.map(recipient => ({
+      email: recipient.email,
+      status: recipient.status,
+      messageId: recipient.messageId,
+      error: recipient.error,
+      attempts: recipient.attempts,
+      variant: recipient.variant
+    }));
+  }
+
+  return summary;
+}
+
+/**
+ * Public view of a job's A/B test, with results so far
+ * @param {Object} job - Job object with abTest
+ * @returns {Object} Test percentage, variants, per-variant stats and the winner once picked
+ */
+function summarizeAbTest(job) {
+  return {
+    testPercent: job.abTest.testPercent,
+    variants: job.abTest.variants.map(variant => ({ id: variant.id, subject: variant.subject })),
+    stats: abTest.variantStats(sendHistory.getSend(job.id), job.abTest.variants),
+    winner: job.abTest.winner,
+    winnerPickedBy: job.abTest.winnerPickedBy,
+    winnerPickedAt: job.abTest.winnerPickedAt
+  };
+}
+
+/**
+ * Create a bulk-send job and queue it for the worker
+ * Attachment files are copied into the job directory so they survive the
+ * request that uploaded them.
+ * @param {Object} sendData - Same fields as emailService.sendBulkEmails
+ * @param {Date} sendData.scheduledAt - Optional time to send at instead of now
+ * @param {Object} sendData.audit - Details kept for the send history ({ requestedBy, template, sender })
+ * @param {string} sendData.fingerprint - Content fingerprint, kept with the send history
+ * @param {Object} sendData.abTest - A/B test ({ testPercent, variants }); recipients then carry their variant
+ * @param {Object} sendData.tags - Campaign, template and labels, sent as custom args and kept with the history
+ * @returns {Object} Job summary
+ */
+function createJob(sendData) {
+  const id = crypto.randomUUID();
+  const filesDir = ensureDir(path.join(jobDir(id), 'files'));
+
+  const attachments = (sendData.attachments || [])
+    .filter(att => fs.existsSync(att.path))
+    .map((att, index) => {
+      const storedPath = path.join(filesDir, `${index}-${path.basename(att.path)}`);
+      fs.copyFileSync(att.path, storedPath);
+      return Object.assign({}, att, { path: storedPath });
+    });
+
+  const job = {
+    id: id,
+    status: sendData.scheduledAt ? 'scheduled' : 'queued',
+    createdAt: new Date().toISOString(),
+    scheduledAt: sendData.scheduledAt ? sendData.scheduledAt.toISOString() : undefined,
+    message: {
+      subject: sendData.subject,
+      html: sendData.html,
+      text: sendData.text,
+      from: sendData.from,
+      fromName: sendData.fromName,
+      cc: sendData.cc,
+      bcc: sendData.bcc,
+      replyTo: sendData.replyTo,
+      headers: sendData.headers,
+      categories: sendData.categories,
+      attachments: attachments
+    },
+    options: {
+      // Unset: SEND_BATCH_SIZE / SEND_CONCURRENCY when the job runs
+      batchSize: sendData.batchSize,
+      concurrency: sendData.concurrency
+    },
+    audit: sendData.audit || {},
+    fingerprint: sendData.fingerprint,
+    tags: sendData.tags,
+    abTest: sendData.abTest ? {
+      testPercent: sendData.abTest.testPercent,
+      variants: sendData.abTest.variants.map(variant => ({ id: variant.id, subject: variant.subject, html: variant.html })),
+      winner: null
+    } : undefined,
+    recipients: sendData.recipients.map(recipient => {
+      const entry = {
+        email: (typeof recipient === 'string' ? recipient : recipient.email).trim(),
+        data: typeof recipient === 'string' ? {} : recipient.data || {},
+        status: 'pending'
+      };
+      // A/B tests hold back everyone outside the test cohort
+      if (sendData.abTest) {
+        entry.variant = recipient.variant || null;
+        entry.status = recipient.variant ? 'pending' : 'held';
+      }
+      return entry;
+    }),
+    errors: []
+  };
+
+  saveJob(job);
+  emitProgress(job);
+
+  if (job.status === 'scheduled') {
+    console.log(`Scheduled job ${id} for ${job.recipients.length} recipients at ${job.scheduledAt}`);
+    scheduleNextCheck();
+  } else {
+    console.log(`Queued job ${id} for ${job.recipients.length} recipients`);
+    processQueue();
+  }
+
+  return summarizeJob(job);
+}
+
+/**
+ * Get a job summary
+ * @param {string} id - Job id
+ * @param {Object} options - Options passed to summarizeJob
+ * @returns {Object|null} Job summary or null
+ */
+function getJob(id, options) {
+  const job = loadJob(id);
+  return job ? summarizeJob(job, options) : null;
+}
+
+/**
+ * Get the current progress of a job, including all failures so far
+ * @param {string} id - Job id
+ * @returns {Object|null} Progress event or null
+ */
+function getProgress(id) {
+  const job = loadJob(id);
+  return job ? progressEvent(job) : null;
+}
+
+/**
+ * Listen for progress events of one job
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with each progress event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(id, listener) {
+  const handler = event => {
+    if (event.id === id) {
+      listener(event);
+    }
+  };
+  events.on('progress', handler);
+  return () => events.removeListener('progress', handler);
+}
+
+/**
+ * List job summaries, newest first
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.status - Only include jobs with this status
+ * @returns {Object[]} Job summaries
+ */
+function listJobs(filter = {}) {
+  return loadAllJobs()
+    .filter(job => !filter.status || job.status === filter.status)
+    .reverse()
+    .map(job => summarizeJob(job));
+}
+
+/**
+ * Move a scheduled job to a new send time
+ * @param {string} id - Job id
+ * @param {Date} scheduledAt - New send time
+ * @returns {Object|null} Job summary, or null if no scheduled job has this id
+ */
+function rescheduleJob(id, scheduledAt) {
+  const job = loadJob(id);
+  if (!job || job.status !== 'scheduled') {
+    return null;
+  }
+
+  job.scheduledAt = scheduledAt.toISOString();
+  saveJob(job);
+  console.log(`Rescheduled job ${id} to ${job.scheduledAt}`);
+  scheduleNextCheck();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Finish a job as cancelled, marking recipients that were never attempted
+ * @param {Object} job - Job object
+ */
+function markCancelled(job) {
+  job.recipients.forEach(recipient => {
+    if (recipient.status === 'pending' || recipient.status === 'held') {
+      recipient.status = 'skipped';
+      recipient.error = 'Not attempted: the send was cancelled';
+    }
+  });
+
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  saveJob(job);
+  emitProgress(job);
+  fs.rmSync(path.join(jobDir(job.id), 'files'), { recursive: true, force: true });
+  console.log(`Cancelled job ${job.id}: ${countRecipients(job).skipped} recipient(s) not attempted`);
+}
+
+/**
+ * Cancel a job
+ * Jobs that are not sending right now are cancelled at once; a running job
+ * stops before its next batch.
+ * @param {string} id - Job id
+ * @returns {Object|null} Job summary, or null if the job does not exist or has finished
+ */
+function cancelJob(id) {
+  const job = loadJob(id);
+  if (!job || FINISHED_STATUSES.includes(job.status)) {
+    return null;
+  }
+
+  if (job.status === 'running') {
+    stopRequests.set(id, 'cancel');
+    console.log(`Cancel requested for job ${id}`);
+    emitProgress(job);
+    return summarizeJob(job);
+  }
+
+  markCancelled(job);
+  scheduleNextCheck();
+  return summarizeJob(job);
+}
+
+/**
+ * Pause a running or queued job
+ * @param {string} id - Job id
+ * @returns {Object|null} Job summary, or null if the job cannot be paused
+ */
+function pauseJob(id) {
+  const job = loadJob(id);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'running') {
+    stopRequests.set(id, 'pause');
+    console.log(`Pause requested for job ${id}`);
+    emitProgress(job);
+    return summarizeJob(job);
+  }
+
+  if (job.status === 'queued') {
+    job.status = 'paused';
+    saveJob(job);
+    emitProgress(job);
+    console.log(`Paused job ${id}`);
+    return summarizeJob(job);
+  }
+
+  return null;
+}
+
+/**
+ * Resume a paused job (or withdraw a pause that has not taken effect yet)
+ * @param {string} id - Job id
+ * @returns {Object|null} Job summary, or null if the job is not paused
+ */
+function resumeJob(id) {
+  const job = loadJob(id);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'running' && stopRequests.get(id) === 'pause') {
+    stopRequests.delete(id);
+    emitProgress(job);
+    return summarizeJob(job);
+  }
+
+  if (job.status !== 'paused') {
+    return null;
+  }
+
+  job.status = 'queued';
+  saveJob(job);
+  emitProgress(job);
+  console.log(`Resumed job ${id}`);
+  processQueue();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Send the winning variant of an A/B test to the held-back recipients
+ * @param {string} id - Job id
+ * @param {Object} choice - How to pick the winner
+ * @param {string} choice.variant - Winning variant id, picked by hand
+ * @param {string} choice.metric - Otherwise pick by opens, clicks or auto (default)
+ * @returns {Object|null} Job summary, { error } when no winner can be picked,
+ *   or null if the job is not waiting for a winner
+ */
+function sendWinner(id, choice = {}) {
+  const job = loadJob(id);
+  if (!job || job.status !== 'awaiting_winner') {
+    return null;
+  }
+
+  let winner;
+  let pickedBy;
+  if (choice.variant) {
+    winner = job.abTest.variants.find(variant => variant.id === String(choice.variant).toUpperCase());
+    if (!winner) {
+      return { error: `Unknown variant "${choice.variant}"; this test has ${job.abTest.variants.map(variant => variant.id).join(', ')}` };
+    }
+    pickedBy = 'manual';
+  } else {
+    const metric = choice.metric || 'auto';
+    if (metric !== 'auto' && !abTest.METRICS[metric]) {
+      return { error: `Unknown metric "${metric}"; use opens, clicks or auto` };
+    }
+    const picked = abTest.pickWinner(abTest.variantStats(sendHistory.getSend(id), job.abTest.variants), metric);
+    if (!picked) {
+      return { error: 'No open or click events have arrived for the test yet; pick the winner by hand' };
+    }
+    winner = job.abTest.variants.find(variant => variant.id === picked.variant);
+    pickedBy = picked.metric;
+  }
+
+  Object.assign(job.abTest, { winner: winner.id, winnerPickedBy: pickedBy, winnerPickedAt: new Date().toISOString() });
+  job.recipients.forEach(recipient => {
+    if (recipient.status === 'held') {
+      Object.assign(recipient, { status: 'pending', variant: winner.id, rollout: true });
+    }
+  });
+  job.status = 'queued';
+  saveJob(job);
+  emitProgress(job);
+  console.log(`Job ${id}: sending variant ${winner.id} (picked by ${pickedBy}) to the rest`);
+  processQueue();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Queue every scheduled job whose time has come
+ */
+function dispatchDueJobs() {
+  const now = Date.now();
+
+  loadAllJobs()
+    .filter(job => job.status === 'scheduled' && Date.parse(job.scheduledAt) <= now)
+    .forEach(job => {
+      job.status = 'queued';
+      saveJob(job);
+      emitProgress(job);
+      console.log(`Dispatching scheduled job ${job.id}`);
+    });
+
+  scheduleNextCheck();
+  processQueue();
+}
+
+/**
+ * Set a timer for the next scheduled job (or re-check within MAX_SCHEDULER_DELAY)
+ */
+function scheduleNextCheck() {
+  clearTimeout(schedulerTimer);
+  schedulerTimer = null;
+
+  const times = loadAllJobs()
+    .filter(job => job.status === 'scheduled')
+    .map(job => Date.parse(job.scheduledAt));
+  if (times.length === 0) {
+    return;
+  }
+
+  const delay = Math.min(Math.max(Math.min(...times) - Date.now(), 0), MAX_SCHEDULER_DELAY);
+  schedulerTimer = setTimeout(dispatchDueJobs, delay);
+}
+
+/**
+ * Split a job's recipients into sends sharing one message
+ * @param {Object} job - Job object
+ * @param {Object[]} recipients - Recipients to send to
+ * @returns {Array<{variant: string, message: Object, recipients: Object[]}>} Groups with
+ *   their message overrides; A/B tests get one group per variant
+ */
+function sendGroups(job, recipients) {
+  if (!job.abTest) {
+    return recipients.length > 0 ? [{ variant: null, message: {}, recipients }] : [];
+  }
+  return job.abTest.variants
+    .map(variant => ({
+      variant: variant.id,
+      message: { subject: variant.subject, html: variant.html },
+      recipients: recipients.filter(recipient => recipient.variant === variant.id)
+    }))
+    .filter(group => group.recipients.length > 0);
+}
+
+/**
+ * Send all pending recipients of a job
+ * @param {Object} job - Job object (mutated and persisted as batches complete)
+ */
+async function runJob(job) {
+  const byEmail = new Map(job.recipients.map(recipient => [recipient.email, recipient]));
+
+  // Addresses suppressed since the job was created (e.g. unsubscribed before a
+  // scheduled send went out) are skipped
+  job.recipients.forEach(recipient => {
+    if (recipient.status === 'pending' && suppressions.isSuppressed(recipient.email)) {
+      recipient.status = 'skipped';
+      recipient.error = 'Suppressed';
+      recipient.updatedAt = new Date().toISOString();
+    }
+  });
+  const pending = job.recipients.filter(recipient => recipient.status === 'pending');
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  saveJob(job);
+  emitProgress(job);
+
+  let stopped = false;
+
+  for (const group of sendGroups(job, pending)) {
+    if (stopped) {
+      break;
+    }
+    try {
+      const result = await emailService.sendBulkEmails(Object.assign({}, job.message, group.message, {
+        recipients: group.recipients.map(recipient => ({ email: recipient.email, data: recipient.data })),
+        batchSize: job.options.batchSize,
+        concurrency: job.options.concurrency,
+        // Links webhook events to the send history, which shares the job's id
+        customArgs: Object.assign(tagCustomArgs(job.tags), { send_id: job.id }, group.variant ? { variant: group.variant } : {}),
+        onBatchStart: batch => {
+          if (stopRequests.has(job.id)) {
+            return false;
+          }
+          batch.forEach(email => {
+            byEmail.get(email).status = 'sending';
+          });
+          saveJob(job);
+        },
+        onBatchComplete: batchResults => {
+          batchResults.forEach(result => {
+            Object.assign(byEmail.get(result.email), {
+              status: result.status,
+              messageId: result.messageId,
+              error: result.error,
+              attempts: result.attempts,
+              updatedAt: new Date().toISOString()
+            });
+          });
+          saveJob(job, { progress: true });
+          emitProgress(job, batchResults
+            .filter(result => result.status === 'failed')
+            .map(result => ({ email: result.email, error: result.error })));
+        }
+      }));
+
+      job.errors = job.errors.concat(result.errors || []);
+      stopped = result.stopped;
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.errors.push({ error: error.message });
+    }
+  }
+
+  const stopRequest = stopRequests.get(job.id);
+  stopRequests.delete(job.id);
+
+  if (stopped && stopRequest === 'pause') {
+    job.status = 'paused';
+    saveJob(job);
+    emitProgress(job);
+    console.log(`Paused job ${job.id}: ${countRecipients(job).pending} recipient(s) left`);
+    return;
+  }
+
+  if (stopped && stopRequest === 'cancel') {
+    markCancelled(job);
+    return;
+  }
+
+  // Anything still pending was rejected before sending (e.g. an invalid address)
+  const rejected = [];
+  job.recipients.forEach(recipient => {
+    if (recipient.status === 'pending') {
+      recipient.status = 'failed';
+      recipient.error = recipient.error || 'Invalid email address';
+      rejected.push({ email: recipient.email, error: recipient.error });
+    }
+  });
+
+  const counts = countRecipients(job);
+
+  // The rest of an A/B test's list waits for the winner
+  if (counts.held > 0) {
+    job.status = 'awaiting_winner';
+    saveJob(job);
+    emitProgress(job, rejected);
+    console.log(`Job ${job.id} test cohort done: ${counts.sent} sent, ${counts.held} waiting for the winner`);
+    return;
+  }
+
+  job.status = counts.sent > 0 || counts.failed === 0 ? 'completed' : 'failed';
+  job.finishedAt = new Date().toISOString();
+  saveJob(job);
+  emitProgress(job, rejected);
+
+  // Attachments are only needed while the job can still resume
+  fs.rmSync(path.join(jobDir(job.id), 'files'), { recursive: true, force: true });
+  console.log(`Job ${job.id} ${job.status}: ${counts.sent} sent, ${counts.failed} failed`);
+}
+
+/**
+ * Process queued jobs one at a time until none are left
+ */
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let next;
+    while ((next = loadAllJobs().find(job => job.status === 'queued'))) {
+      await runJob(next);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Recover jobs interrupted by a restart and start the worker and scheduler
+ * Jobs left "running" are re-queued. Their recipients left "sending" are
+ * marked failed because we cannot tell whether the provider accepted them.
+ */
+function startWorker() {
+  loadAllJobs()
+    .filter(job => job.status === 'running')
+    .forEach(job => {
+      let interrupted = 0;
+      job.recipients.forEach(recipient => {
+        if (recipient.status === 'sending') {
+          recipient.status = 'failed';
+          recipient.error = 'Interrupted by a server restart while sending; not retried to avoid a duplicate';
+          interrupted++;
+        }
+      });
+      job.status = 'queued';
+      saveJob(job);
+      console.log(`Resuming job ${job.id} (${interrupted} recipient(s) interrupted mid-batch)`);
+    });
+
+  dispatchDueJobs();
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  getProgress,
+  subscribe,
+  listJobs,
+  rescheduleJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  sendWinner,
+  startWorker
+};
@@ -0,0 +1,421 @@
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../utils/jsonStore');
+
+/**
+ * Send history / audit log
+ *
+ * Every send attempt gets a record in data/sends/<id>.json with who requested
+ * it, the sender identity, subject, template, tags, per-recipient outcomes (status,
+ * SendGrid message id, error) and batch errors. data/sends/index.json holds the
+ * same records without the recipient lists, for listing and filtering.
+ *
+ * Single sends are recorded once they finish. Bulk and scheduled sends share
+ * their job's id and are re-recorded whenever the job changes status, and
+ * every few seconds while batches finish.
+ *
+ * What happens after SendGrid accepts a message (delivered, bounced, opened,
+ * ...) arrives through the Event Webhook and is kept per recipient as
+ * `delivery`, see recordDeliveryEvents.
+ */
+
+const SENDS_DIR = dataPath('sends');
+const INDEX_FILE = path.join(SENDS_DIR, 'index.json');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Webhook events that set a recipient's delivery status
+const DELIVERY_EVENTS = {
+  processed: 'processed',
+  deferred: 'deferred',
+  delivered: 'delivered',
+  bounce: 'bounced',
+  dropped: 'dropped'
+};
+
+// A status only replaces one of equal or lower rank, so a late "processed"
+// never hides a "delivered"
+const DELIVERY_RANK = { processed: 1, deferred: 2, delivered: 3, bounced: 4, dropped: 4 };
+
+// Events kept per recipient; opens and clicks can repeat many times
+const MAX_EVENTS_PER_RECIPIENT = 20;
+
+let index = null;
+
+/**
+ * Load the history index (cached after the first read)
+ * @returns {Object[]} Record summaries
+ */
+function loadIndex() {
+  if (!index) {
+    index = readJson(INDEX_FILE, []);
+  }
+  return index;
+}
+
+/**
+ * Path of a record's detail file
+ * @param {string} id - Record id
+ * @returns {string} File path
+ */
+function recordPath(id) {
+  return path.join(SENDS_DIR, `${id}.json`);
+}
+
+/**
+ * Count recipients per outcome
+ * @param {Object[]} recipients - Recipient outcomes
+ * @returns {Object} Counts for total, pending, sending, sent, failed, skipped and held
+ */
+function countOutcomes(recipients) {
+  const counts = { total: recipients.length, pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0, held: 0 };
+  recipients.forEach(recipient => {
+    counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Count recipients per delivery outcome reported by the Event Webhook
+ * @param {Object[]} recipients - Recipient outcomes
+ * @returns {Object} Counts of delivered, deferred, bounced, dropped, spam-reporting,
+ *   opening and clicking recipients
+ */
+function countDelivery(recipients) {
+  const counts = { delivered: 0, deferred: 0, bounced: 0, dropped: 0, spamReports: 0, opened: 0, clicked: 0 };
+  recipients.forEach(({ delivery }) => {
+    if (!delivery) return;
+    if (counts[delivery.status] !== undefined) counts[delivery.status]++;
+    if (delivery.spamReport) counts.spamReports++;
+    if (delivery.opens > 0) counts.opened++;
+    if (delivery.clicks > 0) counts.clicked++;
+  });
+  return counts;
+}
+
+/**
+ * Strip the per-recipient detail from a record
+ * The index keeps the record's SendGrid message ids, so webhook events can be
+ * matched to it.
+ * @param {Object} record - Full record
+ * @returns {Object} Summary
+ */
+function summarize(record) {
+  const summary = Object.assign({}, record);
+  summary.messageIds = Array.from(new Set(record.recipients.map(recipient => recipient.messageId).filter(Boolean)));
+  delete summary.recipients;
+  delete summary.errors;
+  return summary;
+}
+
+/**
+ * Write a record and its index entry
+ * @param {Object} record - Full record
+ * @returns {Object} The record
+ */
+function saveRecord(record) {
+  record.updatedAt = new Date().toISOString();
+  record.counts = countOutcomes(record.recipients);
+  record.deliveryCounts = countDelivery(record.recipients);
+  writeJson(recordPath(record.id), record);
+
+  const entries = loadIndex();
+  const position = entries.findIndex(entry => entry.id === record.id);
+  if (position === -1) {
+    entries.push(summarize(record));
+  } else {
+    entries[position] = summarize(record);
+  }
+  writeJson(INDEX_FILE, entries);
+
+  return record;
+}
+
+/**
+ * Record a single-recipient send
+ * @param {Object} send - Send details
+ * @param {string} send.id - Record id, as passed to SendGrid in the send_id custom arg
+ * @param {Object} send.audit - Request details ({ requestedBy, template })
+ * @param {Object} send.sender - Sender identity ({ id, email, name })
+ * @param {string} send.subject - Subject as sent
+ * @param {string} send.email - Recipient address
+ * @param {Object} send.result - Result of emailService.sendEmail, when it succeeded
+ * @param {Error} send.error - Error thrown by emailService.sendEmail, when it failed
+ * @param {string} send.fingerprint - Content fingerprint of the send
+ * @param {Object} send.tags - Campaign, template and labels of the send
+ * @returns {Object} Saved record
+ */
+function recordSingleSend(send) {
+  const now = new Date().toISOString();
+  const audit = send.audit || {};
+  const recipient = {
+    email: send.email,
+    status: send.error ? 'failed' : 'sent',
+    messageId: send.result ? send.result.messageId : undefined,
+    error: send.error ? send.error.message : undefined,
+    attempts: send.result ? send.result.attempts : send.error.attempts,
+    updatedAt: now
+  };
+
+  return saveRecord({
+    id: send.id || crypto.randomUUID(),
+    type: 'single',
+    status: send.error ? 'failed' : 'completed',
+    createdAt: now,
+    startedAt: now,
+    finishedAt: now,
+    requestedBy: audit.requestedBy,
+    template: audit.template || null,
+    sender: send.sender,
+    subject: send.subject,
+    fingerprint: send.fingerprint,
+    tags: send.tags,
+    recipients: [recipient],
+    errors: send.error ? [{ error: send.error.message, attempts: send.error.attempts }] : []
+  });
+}
+
+/**
+ * Record the current state of a bulk or scheduled send job
+ * @param {Object} job - Job object from the job queue
+ * @returns {Object} Saved record
+ */
+function recordJob(job) {
+  const audit = job.audit || {};
+
+  // Delivery events only live in the history, not in the job
+  const previous = getSend(job.id);
+  const delivery = new Map(previous ? previous.recipients.map(recipient => [recipient.email, recipient.delivery]) : []);
+
+  return saveRecord({
+    id: job.id,
+    type: 'bulk',
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    scheduledAt: job.scheduledAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    requestedBy: audit.requestedBy,
+    template: audit.template || null,
+    sender: audit.sender || { email: job.message.from, name: job.message.fromName },
+    subject: job.message.subject,
+    fingerprint: job.fingerprint,
+    tags: job.tags,
+    // Variants without their HTML; each recipient's variant is kept below
+    abTest: job.abTest ? {
+      testPercent: job.abTest.testPercent,
+      variants: job.abTest.variants.map(variant => ({ id: variant.id, subject: variant.subject })),
+      winner: job.abTest.winner,
+      winnerPickedBy: job.abTest.winnerPickedBy,
+      winnerPickedAt: job.abTest.winnerPickedAt
+    } : undefined,
+    recipients: job.recipients.map(recipient => ({
+      email: recipient.email,
+      status: recipient.status,
+      variant: recipient.variant,
+      // Got the winner after the test rather than a test variant
+      rollout: recipient.rollout,
+      messageId: recipient.messageId,
+      error: recipient.error,
+      attempts: recipient.attempts,
+      updatedAt: recipient.updatedAt,
+      delivery: delivery.get(recipient.email)
+    })),
+    errors: job.errors
+  });
+}
+
+/**
+ * Find the send a SendGrid message id belongs to
+ * @param {string} messageId - x-message-id returned when the message was sent
+ * @returns {string|null} Record id
+ */
+function findSendByMessageId(messageId) {
+  if (!messageId) {
+    return null;
+  }
+  const entry = loadIndex().find(summary => (summary.messageIds || []).includes(messageId));
+  return entry ? entry.id : null;
+}
+
+/**
+ * Find the latest send of the same content since a given time
+ * Failed and cancelled sends do not count: sending those again is intended.
+ * @param {string} fingerprint - Content fingerprint
+ * @param {Date} since - Oldest creation time to consider
+ * @returns {Object|null} Summary of the newest matching send
+ */
+function findRecentSend(fingerprint, since) {
+  if (!fingerprint) {
+    return null;
+  }
+  return loadIndex()
+    .filter(entry => entry.fingerprint === fingerprint && !['failed', 'cancelled'].includes(entry.status))
+    .filter(entry => new Date(entry.createdAt) >= since)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+}
+
+/**
+ * Apply one webhook event to a recipient's delivery state
+ * @param {Object} delivery - Current delivery state (mutated)
+ * @param {Object} event - SendGrid event
+ * @returns {boolean} False when the event was already applied
+ */
+function applyEvent(delivery, event) {
+  if (event.sg_event_id && delivery.events.some(entry => entry.id === event.sg_event_id)) {
+    return false;
+  }
+
+  const time = event.timestamp ? new Date(event.timestamp * 1000).toISOString() : new Date().toISOString();
+  const status = DELIVERY_EVENTS[event.event];
+  if (status && (!delivery.status || DELIVERY_RANK[status] >= DELIVERY_RANK[delivery.status])) {
+    delivery.status = status;
+    delivery.reason = event.reason || event.response || undefined;
+    if (event.event === 'bounce') {
+      // "bounce" is a hard bounce, "blocked" a temporary rejection
+      delivery.bounceType = event.type || 'bounce';
+    }
+  }
+  if (event.event === 'open') delivery.opens = (delivery.opens || 0) + 1;
+  if (event.event === 'click') delivery.clicks = (delivery.clicks || 0) + 1;
+  if (event.event === 'spamreport') delivery.spamReport = true;
+  if (event.event === 'unsubscribe' || event.event === 'group_unsubscribe') delivery.unsubscribed = true;
+
+  delivery.events.push({
+    id: event.sg_event_id,
+    event: event.event,
+    timestamp: time,
+    reason: event.reason || undefined,
+    url: event.url || undefined
+  });
+  delivery.events = delivery.events.slice(-MAX_EVENTS_PER_RECIPIENT);
+  delivery.updatedAt = time;
+  return true;
+}
+
+/**
+ * Record Event Webhook events for one send
+ * @param {string} id - Record id
+ * @param {Object[]} events - SendGrid events (event, email, timestamp, sg_event_id, ...)
+ * @returns {Object[]} The events matched to a recipient of the send
+ */
+function recordDeliveryEvents(id, events) {
+  const record = getSend(id);
+  if (!record) {
+    return [];
+  }
+
+  const byEmail = new Map(record.recipients.map(recipient => [recipient.email.toLowerCase(), recipient]));
+  const matched = [];
+  let changed = false;
+
+  events.forEach(event => {
+    const recipient = byEmail.get(String(event.email || '').toLowerCase());
+    if (!recipient) return;
+    matched.push(event);
+    recipient.delivery = recipient.delivery || { status: null, events: [] };
+    changed = applyEvent(recipient.delivery, event) || changed;
+  });
+
+  if (changed) {
+    saveRecord(record);
+  }
+  return matched;
+}
+
+/**
+ * Load a full record
+ * @param {string} id - Record id
+ * @returns {Object|null} Record, or null if it does not exist
+ */
+function getSend(id) {
+  if (!/^[\w-]+$/.test(id)) {
+    return null;
+  }
+  return readJson(recordPath(id));
+}
+
+/**
+ * Case-insensitive substring match
+ * @param {string} value - Value to search
+ * @param {string} query - Text to look for
+ * @returns {boolean} True when value contains query
+ */
+function contains(value, query) {
+  return String(value || '').toLowerCase().includes(String(query).toLowerCase());
+}
+
+/**
+ * Case-insensitive equality
+ * @param {string} value - Value to compare
+ * @param {string} query - Expected text
+ * @returns {boolean} True when both match ignoring case
+ */
+function sameText(value, query) {
+  return String(value || '').toLowerCase() === String(query).toLowerCase();
+}
+
+/**
+ * List send records, newest first, with filtering and pagination
+ * @param {Object} query - Filters
+ * @param {string} query.email - Only sends to this recipient; adds its outcome as `recipient`
+ * @param {string} query.status - Record status (completed, failed, running, ...)
+ * @param {string} query.sender - Sender identity id or address
+ * @param {string} query.subject - Text the subject contains
+ * @param {string} query.template - Text the template name contains
+ * @param {string} query.campaign - Campaign name (case-insensitive)
+ * @param {string} query.label - Label the send carries (case-insensitive)
+ * @param {Date} query.since - Created at or after
+ * @param {Date} query.until - Created before
+ * @param {number} query.page - Page number, starting at 1
+ * @param {number} query.limit - Records per page (max 100)
+ * @returns {Object} Page of summaries with total, page, limit and pages
+ */
+function listSends(query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  let matches = loadIndex()
+    .filter(entry => !query.status || entry.status === query.status)
+    .filter(entry => !query.sender || (entry.sender && [entry.sender.id, entry.sender.email]
+      .some(value => value && value.toLowerCase() === query.sender.toLowerCase())))
+    .filter(entry => !query.subject || contains(entry.subject, query.subject))
+    .filter(entry => !query.template || contains(entry.template, query.template))
+    .filter(entry => !query.campaign || sameText(entry.tags && entry.tags.campaign, query.campaign))
+    .filter(entry => !query.label || (entry.tags && entry.tags.labels.some(label => sameText(label, query.label))))
+    .filter(entry => !query.since || new Date(entry.createdAt) >= query.since)
+    .filter(entry => !query.until || new Date(entry.createdAt) < query.until)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  // Recipient lists only live in the detail files
+  if (query.email) {
+    const email = query.email.trim().toLowerCase();
+    matches = matches
+      .map(entry => {
+        const record = getSend(entry.id);
+        const recipient = record && record.recipients.find(r => r.email.toLowerCase() === email);
+        return recipient ? Object.assign({}, entry, { recipient }) : null;
+      })
+      .filter(Boolean);
+  }
+
+  return {
+    sends: matches.slice((page - 1) * limit, page * limit),
+    total: matches.length,
+    page,
+    limit,
+    pages: Math.ceil(matches.length / limit)
+  };
+}
+
+module.exports = {
+  recordSingleSend,
+  recordJob,
+  findSendByMessageId,
+  findRecentSend,
+  recordDeliveryEvents,
+  getSend,
+  listSends
+};
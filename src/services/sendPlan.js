@@ -0,0 +1,501 @@
+const fs = require('fs');
+const { extractImagesFromHTML, replaceImagesWithCID, matchImagesWithUploads, findImageReferences } = require('../utils/htmlParser');
+const { findMissingMergeFields } = require('../utils/mergeTags');
+const { htmlToText } = require('../utils/htmlToText');
+const { measureMessage } = require('../utils/messageSize');
+const { detectMimeType } = require('../utils/mimeTypes');
+const { UNSUBSCRIBE_TAG, unsubscribeUrl, addUnsubscribeFooter, addUnsubscribeText } = require('../utils/unsubscribe');
+const { getSender } = require('./senders');
+const suppressions = require('./suppressions');
+const contactLists = require('./contactLists');
+const { contentFingerprint } = require('./idempotency');
+const { parseVariants, assignVariants } = require('./abTest');
+const { parseTags, tagCategories } = require('../utils/tags');
+const { importCSV, validateOptions } = require('../shared/csvImport');
+const { validateAddress, isValidAddress, splitAddressList, parseAddress, normalizeAddress, dedupeAddresses } = require('../shared/emailAddress');
+
+/**
+ * Turns a /api/send-email request into a send plan: the sender identity, the
+ * final HTML with CID image references and an unsubscribe link, the resolved
+ * recipients (suppressed addresses removed), the
+ * attachments and the size of each message. The send route executes the plan; a dry run returns it as is.
+ */
+
+// Compliance archive: BCC'd on every message, once per recipient in bulk sends
+const BCC_ARCHIVE = parseAddressList(process.env.BCC_ARCHIVE);
+
+// Remove recipients that reach the same mailbox as an earlier one, keeping the
+// first occurrence (and its data); see addressKey in src/shared/emailAddress.js
+function dedupeRecipients(recipients, providerRules) {
+  const { unique, duplicates } = dedupeAddresses(recipients, { providerRules, getEmail: recipient => recipient.email });
+  return { recipients: unique, duplicates: duplicates.map(recipient => recipient.email) };
+}
+
+// Split a comma, semicolon or newline separated address field into normalized,
+// unique addresses ("Jane <jane@example.com>" -> "jane@example.com")
+function parseAddressList(value) {
+  return dedupeAddresses(splitAddressList(value).map(normalizeAddress)).unique;
+}
+
+// Recipient from an address list entry; a display name becomes {{name}}
+function listRecipient(entry) {
+  const { name } = parseAddress(entry);
+  return { email: normalizeAddress(entry), data: name ? { name } : {} };
+}
+
+/**
+ * Parse custom headers given as a JSON object or as "Name: value" lines
+ * Only X- headers are accepted; the standard ones are set by the mailer.
+ * @param {string|Object} value - Headers from the request
+ * @returns {{headers: Object}|{error: string}} Headers by name, or an error message
+ */
+function parseHeaders(value) {
+  if (!value) {
+    return { headers: {} };
+  }
+
+  let entries;
+  if (typeof value === 'object') {
+    entries = Object.entries(value);
+  } else if (value.trim().startsWith('{')) {
+    try {
+      entries = Object.entries(JSON.parse(value));
+    } catch (error) {
+      return { error: `Invalid headers JSON: ${error.message}` };
+    }
+  } else {
+    entries = value.split(/\r?\n/)
+      .filter(line => line.trim())
+      .map(line => {
+        const separator = line.indexOf(':');
+        return separator === -1
+          ? [line.trim(), undefined]
+          : [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+      });
+  }
+
+  const headers = {};
+  for (const [name, headerValue] of entries) {
+    if (!/^X-[A-Za-z0-9-]+$/i.test(name)) {
+      return { error: `Invalid header "${name}": only custom X- headers can be set` };
+    }
+    if (headerValue === undefined || headerValue === null || /[\r\n]/.test(String(headerValue))) {
+      return { error: `Invalid value for header ${name}` };
+    }
+    headers[name] = String(headerValue);
+  }
+
+  return { headers };
+}
+
+/**
+ * Load the template HTML and rewrite local image references to CID references
+ * @param {Object} body - Request body (htmlContent)
+ * @param {Object} files - Multer files (localTemplateFile, templateImages)
+ * @returns {{html: string, sourceHtml: string, htmlImages: Array}} Final and original HTML, and the images it references
+ */
+function processTemplate(body, files) {
+  const templateImages = files.templateImages || [];
+  let html = body.htmlContent || '';
+  let htmlImages = [];
+
+  // Process local HTML template file if uploaded
+  if (files.localTemplateFile) {
+    const htmlFilePath = files.localTemplateFile[0].path;
+    html = fs.readFileSync(htmlFilePath, 'utf8');
+
+    // Match HTML image references with separately uploaded images first
+    if (templateImages.length > 0) {
+      htmlImages = matchImagesWithUploads(html, templateImages);
+      if (htmlImages.length > 0) {
+        console.log(`Matched ${htmlImages.length} images from uploaded files`);
+      }
+    }
+
+    // Fallback: try to find images relative to the HTML file
+    if (htmlImages.length === 0) {
+      htmlImages = extractImagesFromHTML(html, htmlFilePath);
+    }
+
+    console.log(`Processed HTML template with ${htmlImages.length} images`);
+  } else if (html && templateImages.length > 0) {
+    // HTML content provided as text - try to match with uploaded images
+    htmlImages = matchImagesWithUploads(html, templateImages);
+  }
+
+  return {
+    html: htmlImages.length > 0 ? replaceImagesWithCID(html, htmlImages) : html,
+    sourceHtml: html,
+    htmlImages
+  };
+}
+
+/**
+ * Add a sender's signature block at the end of the HTML body
+ * @param {string} html - Message HTML
+ * @param {string} signature - Signature HTML
+ * @returns {string} HTML with the signature
+ */
+function appendSignature(html, signature) {
+  if (!signature) {
+    return html;
+  }
+  const bodyEnd = html.search(/<\/body\s*>/i);
+  return bodyEnd === -1
+    ? `${html}\n${signature}`
+    : `${html.slice(0, bodyEnd)}${signature}\n${html.slice(bodyEnd)}`;
+}
+
+/**
+ * Parse the column mapping the dashboard sends with a CSV upload
+ * @param {string|Object} value - JSON { delimiter, hasHeader, columns: [{ role, field }] }
+ * @returns {Object} { options } for importCSV (empty when no mapping was sent), or { error }
+ */
+function parseCsvMapping(value) {
+  if (value === undefined || value === '') {
+    return { options: {} };
+  }
+
+  let options = value;
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      return { error: 'csvMapping must be a JSON object' };
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'csvMapping must be a JSON object' };
+  }
+
+  const error = validateOptions(options);
+  return error ? { error } : { options };
+}
+
+/**
+ * Parse the saved lists picked for a send
+ * @param {string|string[]} value - List ids as a JSON array, an array or comma-separated text
+ * @returns {string[]} Ids
+ */
+function parseListIds(value) {
+  let ids = value;
+  if (typeof ids === 'string' && ids.trim().startsWith('[')) {
+    try {
+      ids = JSON.parse(ids);
+    } catch (error) {
+      ids = [];
+    }
+  }
+  if (!Array.isArray(ids)) {
+    ids = String(ids || '').split(',');
+  }
+  return Array.from(new Set(ids.map(id => String(id).trim()).filter(Boolean)));
+}
+
+/**
+ * Collect recipients from saved lists, the CSV upload, the textarea and the "to" field
+ * List contacts come first, so their attributes win over the same address entered by hand.
+ * @param {Object} body - Request body (listIds, to, recipientsText, csvMapping)
+ * @param {Object} files - Multer files (recipientsFile)
+ * @returns {Object} { recipients: [{ email, data }] (normalized, duplicates included), csvImport,
+ *   lists, listSuppressed } where csvImport describes the CSV upload (null without one),
+ *   lists the saved lists used and listSuppressed their suppressed contacts; or
+ *   { error } with the response body
+ */
+function collectRecipients(body, files) {
+  const { to, recipientsText } = body;
+  let recipients = [];
+  let csvImport = null;
+
+  // From saved contact lists, suppressed contacts left out
+  const resolved = contactLists.resolveLists(parseListIds(body.listIds));
+  if (resolved.unknown.length > 0) {
+    return { error: { error: 'Unknown contact list', details: resolved.unknown.join(', ') } };
+  }
+  recipients = resolved.recipients;
+
+  // From CSV file upload
+  if (files.recipientsFile) {
+    const mapping = parseCsvMapping(body.csvMapping);
+    if (mapping.error) {
+      return { error: { error: 'Invalid CSV mapping', details: mapping.error } };
+    }
+
+    const csvFile = files.recipientsFile[0];
+    const result = importCSV(fs.readFileSync(csvFile.path, 'utf8'), mapping.options);
+    // Clean up uploaded CSV file
+    fs.unlinkSync(csvFile.path);
+
+    recipients = [...recipients, ...result.recipients.map(recipient => ({ email: normalizeAddress(recipient.email), data: recipient.data }))];
+    csvImport = {
+      filename: csvFile.originalname,
+      delimiter: result.delimiter,
+      hasHeader: result.hasHeader,
+      columns: result.columns,
+      rows: result.rows,
+      imported: result.recipients.length,
+      rejected: result.rejected
+    };
+    if (result.rejected.length > 0) {
+      console.warn(`Warning: ${result.rejected.length} CSV row(s) rejected from ${csvFile.originalname}`);
+    }
+  }
+
+  // From textarea (one per line, or comma or semicolon separated)
+  if (recipientsText) {
+    recipients = [...recipients, ...splitAddressList(recipientsText).map(listRecipient)];
+  }
+
+  // From "to" field (comma-separated)
+  if (to) {
+    recipients = [...recipients, ...splitAddressList(to).map(listRecipient)];
+  }
+
+  return { recipients, csvImport, lists: resolved.lists, listSuppressed: resolved.suppressed };
+}
+
+/**
+ * Build the attachment list: uploaded files plus inline template images
+ * @param {Object} files - Multer files (attachments)
+ * @param {Array} htmlImages - Images referenced by the template
+ * @returns {Array} Attachment objects with filename, path, disposition and optional cid
+ */
+function buildAttachments(files, htmlImages) {
+  const attachments = (files.attachments || []).map(file => ({
+    filename: file.originalname,
+    path: file.path,
+    mimetype: file.mimetype,
+    disposition: 'attachment'
+  }));
+
+  // Add matched images from HTML as inline attachments
+  htmlImages.forEach(img => {
+    if (img.matched || img.found) {
+      attachments.push({
+        filename: img.filename,
+        path: img.path || img.absolutePath,
+        mimetype: img.mimetype,
+        cid: img.cid,
+        disposition: 'inline'
+      });
+    }
+  });
+
+  // Settle each type once, from content, name and the browser's guess
+  attachments.forEach(att => {
+    const detection = detectMimeType(att);
+    att.contentType = detection.type;
+    if (detection.mismatch) {
+      att.typeWarning = detection.warning;
+      console.warn(`Warning: ${detection.warning}`);
+    }
+    delete att.mimetype;
+  });
+
+  return attachments;
+}
+
+/**
+ * Build the send plan for a /api/send-email request
+ * Validation failures are returned as `{ error: { status, body } }` so the
+ * route can answer with them directly.
+ * @param {Object} body - Request body
+ * @param {Object} files - Multer files keyed by field name
+ * @returns {Object} Send plan, or an error
+ */
+function buildSendPlan(body, files = {}) {
+  const { subject } = body;
+
+  if (!subject) {
+    return { error: { status: 400, body: { error: 'Missing required field: subject is required' } } };
+  }
+
+  const requestedSender = body.senderId || body.from;
+  const sender = getSender(requestedSender);
+  if (!sender) {
+    return { error: { status: 400, body: { error: 'Unknown sender', details: `"${requestedSender}" is not a configured sender identity` } } };
+  }
+
+  let template;
+  try {
+    template = processTemplate(body, files);
+  } catch (error) {
+    console.error('Error processing HTML file:', error);
+    return { error: { status: 400, body: { error: 'Failed to process HTML file', details: error.message } } };
+  }
+
+  if (!template.html) {
+    return { error: { status: 400, body: { error: 'HTML content is required' } } };
+  }
+
+  // Server template name or uploaded file name, for the send history and tags
+  const templateName = body.templateName || (files.localTemplateFile ? files.localTemplateFile[0].originalname : null);
+  const tagged = parseTags(body, templateName);
+  if (tagged.error) {
+    return { error: { status: 400, body: { error: 'Invalid tags', details: tagged.error } } };
+  }
+
+  // Final HTML: CID images, the sender's signature and the unsubscribe footer
+  const finishHtml = source => addUnsubscribeFooter(appendSignature(source, sender.signature));
+  const html = finishHtml(template.html);
+
+  const abTest = parseVariants(body);
+  if (abTest && abTest.error) {
+    return { error: { status: 400, body: { error: 'Invalid A/B test', details: abTest.error } } };
+  }
+  // Variant HTML can use the images of the main template
+  const variants = abTest ? abTest.variants.map(variant => ({
+    id: variant.id,
+    subject: variant.subject || subject,
+    html: variant.html ? finishHtml(replaceImagesWithCID(variant.html, template.htmlImages)) : html,
+    sourceHtml: variant.html || template.sourceHtml
+  })) : [];
+
+  const collectedRecipients = collectRecipients(body, files);
+  if (collectedRecipients.error) {
+    return { error: { status: 400, body: collectedRecipients.error } };
+  }
+  // Gmail dots and plus tags only count as duplicates when asked for
+  const providerRules = ['true', '1', 'on', 'yes'].includes(String(body.dedupeProviderRules).toLowerCase());
+  const { recipients: collected, duplicates } = dedupeRecipients(collectedRecipients.recipients, providerRules);
+  const listSuppressed = dedupeRecipients(collectedRecipients.listSuppressed).recipients;
+
+  if (collected.length === 0 && listSuppressed.length === 0) {
+    const { csvImport } = collectedRecipients;
+    return { error: { status: 400, body: csvImport && csvImport.rejected.length > 0
+      ? { error: 'No valid recipients provided', details: `All ${csvImport.rejected.length} CSV rows were rejected`, csvImport }
+      : { error: 'No valid recipients provided' } } };
+  }
+
+  // Unsubscribed, bounced and reported addresses are never mailed
+  const partitioned = suppressions.partitionRecipients(collected);
+  const { allowed } = partitioned;
+  const suppressed = dedupeRecipients(listSuppressed.concat(partitioned.suppressed)).recipients;
+  if (allowed.length === 0) {
+    return { error: { status: 400, body: {
+      error: 'All recipients are on the suppression list',
+      details: suppressed.map(recipient => recipient.email).join(', ')
+    } } };
+  }
+
+  // Every recipient gets their own signed {{unsubscribe_url}}
+  const recipients = allowed.map(recipient => ({
+    email: recipient.email,
+    data: Object.assign({}, recipient.data, { [UNSUBSCRIBE_TAG]: unsubscribeUrl(recipient.email) })
+  }));
+
+  // Invalid addresses are never sent to, so they take no part in the A/B
+  // test or the fingerprint
+  const addressChecks = recipients.map(recipient => validateAddress(recipient.email));
+  const validRecipients = recipients.filter((recipient, index) => addressChecks[index].valid);
+
+  const fingerprint = contentFingerprint({ recipients: validRecipients, subject, html: template.sourceHtml });
+
+  if (abTest) {
+    if (validRecipients.length < variants.length) {
+      return { error: { status: 400, body: {
+        error: 'Invalid A/B test',
+        details: `An A/B test of ${variants.length} variants needs at least ${variants.length} valid recipients`
+      } } };
+    }
+    const assignment = assignVariants(validRecipients, variants, abTest.testPercent, fingerprint);
+    validRecipients.forEach(recipient => {
+      recipient.variant = assignment.get(recipient.email);
+    });
+  }
+
+  const cc = parseAddressList(body.cc);
+  const bcc = dedupeAddresses(parseAddressList(body.bcc).concat(BCC_ARCHIVE)).unique;
+  const replyTo = (body.replyTo || '').trim() || sender.replyTo;
+  const invalidAddresses = cc.concat(bcc, replyTo ? [replyTo] : []).filter(address => !isValidAddress(address));
+
+  if (invalidAddresses.length > 0) {
+    return { error: { status: 400, body: { error: 'Invalid CC, BCC or Reply-To address', details: invalidAddresses.join(', ') } } };
+  }
+
+  const parsedHeaders = parseHeaders(body.headers);
+  if (parsedHeaders.error) {
+    return { error: { status: 400, body: { error: parsedHeaders.error } } };
+  }
+
+  // An explicit plain-text version replaces the one generated from the HTML
+  let textOverride = (body.textContent || '').trim() || null;
+  if (textOverride && sender.signature) {
+    textOverride += `\n\n${htmlToText(sender.signature)}`;
+  }
+  if (textOverride) {
+    textOverride = addUnsubscribeText(textOverride);
+  }
+  const text = textOverride || htmlToText(html);
+
+  // Invalid, misspelt, role and disposable addresses are listed for review
+  const addressReview = addressChecks.filter(check => !check.valid || check.suggestion || check.role || check.disposable);
+
+  const attachments = buildAttachments(files, template.htmlImages);
+  const matchedImages = template.htmlImages.filter(img => img.matched || img.found);
+  const unmatchedImages = Array.from(new Set([template.sourceHtml].concat(variants.map(variant => variant.sourceHtml))
+    .flatMap(source => findImageReferences(source))))
+    .filter(src => !src.startsWith('cid:') && !matchedImages.some(img => img.src === src));
+
+  if (unmatchedImages.length > 0) {
+    console.warn(`Warning: ${unmatchedImages.length} image(s) not matched:`, unmatchedImages);
+  }
+
+  return {
+    sender: { id: sender.id, email: sender.email, name: sender.name },
+    template: templateName,
+    tags: tagged.tags,
+    categories: tagCategories(tagged.tags),
+    subject,
+    html,
+    text,
+    textOverride,
+    cc,
+    bcc,
+    replyTo,
+    headers: parsedHeaders.headers,
+    recipients,
+    validRecipients,
+    invalidRecipients: addressChecks.filter(check => !check.valid).map(check => check.email),
+    addressReview,
+    duplicates,
+    // CSV upload: detected format, column roles and the rows that were not imported
+    csvImport: collectedRecipients.csvImport,
+    // Saved lists used, with their contact and suppressed counts
+    lists: collectedRecipients.lists,
+    suppressed: suppressed.map(recipient => recipient.email),
+    // Every {{field}} used in the subject or HTML must be fillable for every recipient
+    missingMergeFields: findMissingMergeFields(
+      [subject, html, text].concat(...variants.map(variant => [variant.subject, variant.html])),
+      recipients
+    ),
+    images: {
+      matched: matchedImages.map(img => ({ src: img.src, filename: img.filename, cid: img.cid })),
+      unmatched: unmatchedImages
+    },
+    attachments,
+    // Measured with the largest HTML when variants differ
+    size: measureMessage({
+      subject,
+      html: variants.reduce((largest, variant) => (variant.html.length > largest.length ? variant.html : largest), html),
+      text,
+      attachments
+    }),
+    abTest: abTest && {
+      testPercent: abTest.testPercent,
+      variants: variants.map(variant => ({
+        id: variant.id,
+        subject: variant.subject,
+        html: variant.html,
+        recipients: validRecipients.filter(recipient => recipient.variant === variant.id).length
+      })),
+      heldBack: validRecipients.filter(recipient => !recipient.variant).length
+    },
+    // Same recipients, subject and HTML as another send
+    fingerprint
+  };
+}
+
+module.exports = {
+  buildSendPlan
+};
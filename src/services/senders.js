@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidAddress } = require('../shared/emailAddress');
+
+/**
+ * Sender identities the server is allowed to send as.
+ *
+ * Identities come from a JSON file (SENDERS_FILE, default senders.json):
+ *
+ *   [{ "id": "acme", "email": "news@acme.com", "name": "Acme",
+ *      "replyTo": "support@acme.com", "signature": "<p>-- The Acme team</p>" }]
+ *
+ * Without that file, FROM_EMAIL / FROM_NAME / REPLY_TO_EMAIL define a single
+ * "default" identity, as before. The first identity is the default.
+ */
+
+const SENDERS_FILE = path.resolve(process.env.SENDERS_FILE || 'senders.json');
+
+let senders = null;
+
+/**
+ * Read the configured identities
+ * @returns {Array<Object>} Raw identity entries
+ */
+function readSenderConfig() {
+  if (fs.existsSync(SENDERS_FILE)) {
+    const config = JSON.parse(fs.readFileSync(SENDERS_FILE, 'utf8'));
+    return Array.isArray(config) ? config : config.senders || [];
+  }
+
+  if (process.env.FROM_EMAIL) {
+    return [{
+      id: 'default',
+      email: process.env.FROM_EMAIL,
+      name: process.env.FROM_NAME || '',
+      replyTo: process.env.REPLY_TO_EMAIL || ''
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Load and validate the sender identities
+ * Throws when none are configured or an entry is invalid, so the server can
+ * refuse to start.
+ * @returns {Array<Object>} Identities ({ id, email, name, replyTo, signature })
+ */
+function loadSenders() {
+  const entries = readSenderConfig();
+
+  if (entries.length === 0) {
+    throw new Error(`No sender identities configured: create ${path.basename(SENDERS_FILE)} or set FROM_EMAIL in .env`);
+  }
+
+  const ids = new Set();
+  senders = entries.map((entry, index) => {
+    const sender = {
+      id: String(entry.id || entry.email || '').trim(),
+      email: String(entry.email || '').trim(),
+      name: String(entry.name || '').trim(),
+      replyTo: String(entry.replyTo || '').trim() || null,
+      signature: entry.signature || null
+    };
+
+    if (!isValidAddress(sender.email)) {
+      throw new Error(`Sender #${index + 1} has an invalid email address: "${sender.email}"`);
+    }
+    if (sender.replyTo && !isValidAddress(sender.replyTo)) {
+      throw new Error(`Sender "${sender.id}" has an invalid replyTo address: "${sender.replyTo}"`);
+    }
+    if (ids.has(sender.id)) {
+      throw new Error(`Duplicate sender id "${sender.id}"`);
+    }
+    ids.add(sender.id);
+
+    return sender;
+  });
+
+  return senders;
+}
+
+/**
+ * List the sender identities (loading them on first use)
+ * @returns {Array<Object>} Identities
+ */
+function listSenders() {
+  return senders || loadSenders();
+}
+
+/**
+ * Resolve a sender identity by id or email address
+ * @param {string} idOrEmail - Identity id or address; empty for the default identity
+ * @returns {Object|null} Identity, or null when it is not configured
+ */
+function getSender(idOrEmail) {
+  const list = listSenders();
+  if (!idOrEmail) {
+    return list[0];
+  }
+
+  const key = String(idOrEmail).trim().toLowerCase();
+  return list.find(sender => sender.id.toLowerCase() === key || sender.email.toLowerCase() === key) || null;
+}
+
+module.exports = {
+  loadSenders,
+  listSenders,
+  getSender
+};
@@ -0,0 +1,169 @@
+const { dataPath, readJson, writeJson } = require('../utils/jsonStore');
+const { isValidAddress, normalizeAddress, addressKey } = require('../shared/emailAddress');
+const { formatRow } = require('../shared/csvImport');
+
+/**
+ * Suppression list
+ *
+ * Addresses that must not be mailed again: people who unsubscribed, hard
+ * bounces, spam reports and manual entries. Stored in data/suppressions.json
+ * as { email, reason, source, createdAt } entries. Addresses are normalized
+ * first (display name removed, domain in punycode) and matched ignoring case,
+ * so "Jane <Jane@münchen.de>" and jane@xn--mnchen-3ya.de are the same entry.
+ * Sends drop suppressed recipients before anything goes out.
+ */
+
+const SUPPRESSIONS_FILE = dataPath('suppressions.json');
+
+const REASONS = ['unsubscribe', 'bounce', 'spam', 'manual'];
+
+// Address key -> entry
+let entries = null;
+
+/**
+ * Key an address is stored and looked up under
+ * @param {string} email - Address, with or without a display name
+ * @returns {string} Normalized, lowercased address
+ */
+function suppressionKey(email) {
+  return addressKey(normalizeAddress(String(email || '').trim()));
+}
+
+/**
+ * Load the list (cached after the first read)
+ * @returns {Map<string, Object>} Entries by address key
+ */
+function loadEntries() {
+  if (!entries) {
+    entries = new Map(readJson(SUPPRESSIONS_FILE, []).map(entry => [suppressionKey(entry.email), entry]));
+  }
+  return entries;
+}
+
+/**
+ * Persist the list
+ */
+function saveEntries() {
+  writeJson(SUPPRESSIONS_FILE, Array.from(loadEntries().values()));
+}
+
+/**
+ * Check whether an address is suppressed
+ * @param {string} email - Address
+ * @returns {boolean} True when it must not be mailed
+ */
+function isSuppressed(email) {
+  return loadEntries().has(suppressionKey(email));
+}
+
+/**
+ * Split recipients into the ones that may be mailed and the suppressed ones
+ * @param {Array<{email: string}>} recipients - Recipients
+ * @returns {{allowed: Array, suppressed: Array}} Partitioned recipients
+ */
+function partitionRecipients(recipients) {
+  const allowed = [];
+  const suppressed = [];
+  recipients.forEach(recipient => {
+    (isSuppressed(recipient.email) ? suppressed : allowed).push(recipient);
+  });
+  return { allowed, suppressed };
+}
+
+/**
+ * Get the entry for an address
+ * @param {string} email - Address
+ * @returns {Object|null} Entry, or null when the address is not suppressed
+ */
+function getSuppression(email) {
+  return loadEntries().get(suppressionKey(email)) || null;
+}
+
+/**
+ * List suppressed addresses, newest first
+ * @param {Object} filter - Filters
+ * @param {string} filter.search - Text the address contains
+ * @param {string} filter.reason - Only entries with this reason
+ * @returns {Object[]} Entries
+ */
+function listSuppressions(filter = {}) {
+  const search = String(filter.search || '').trim().toLowerCase();
+  return Array.from(loadEntries().values())
+    .filter(entry => !filter.reason || entry.reason === filter.reason)
+    .filter(entry => !search || entry.email.toLowerCase().includes(search))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Add addresses to the list
+ * Existing entries keep their original reason and date.
+ * @param {Array<string|Object>} emails - Addresses, or { email, reason } objects
+ *   whose reason overrides options.reason
+ * @param {Object} options - Entry details
+ * @param {string} options.reason - unsubscribe, bounce, spam or manual (default: manual)
+ * @param {string} options.source - Where the entry came from (api, import, link, ...)
+ * @returns {{added: Object[], existing: string[], invalid: string[]}} Outcome per address
+ */
+function addSuppressions(emails, options = {}) {
+  const defaultReason = REASONS.includes(options.reason) ? options.reason : 'manual';
+  const list = loadEntries();
+  const result = { added: [], existing: [], invalid: [] };
+
+  emails.forEach(value => {
+    const raw = String((value && typeof value === 'object' ? value.email : value) || '').trim();
+    const email = normalizeAddress(raw);
+    const reason = value && REASONS.includes(value.reason) ? value.reason : defaultReason;
+    const key = suppressionKey(email);
+    if (!isValidAddress(email)) {
+      result.invalid.push(raw);
+    } else if (list.has(key)) {
+      result.existing.push(email);
+    } else {
+      const entry = { email, reason, source: options.source || 'api', createdAt: new Date().toISOString() };
+      list.set(key, entry);
+      result.added.push(entry);
+    }
+  });
+
+  if (result.added.length > 0) {
+    saveEntries();
+  }
+  return result;
+}
+
+/**
+ * Remove an address from the list
+ * @param {string} email - Address
+ * @returns {Object|null} Removed entry, or null when it was not suppressed
+ */
+function removeSuppression(email) {
+  const key = suppressionKey(email);
+  const entry = loadEntries().get(key);
+  if (!entry) {
+    return null;
+  }
+  loadEntries().delete(key);
+  saveEntries();
+  return entry;
+}
+
+/**
+ * Export the list as CSV (email, reason, source, created_at)
+ * @returns {string} CSV text
+ */
+function exportSuppressions() {
+  const rows = listSuppressions().map(entry =>
+    formatRow([entry.email, entry.reason, entry.source, entry.createdAt]));
+  return ['email,reason,source,created_at'].concat(rows).join('\n') + '\n';
+}
+
+module.exports = {
+  REASONS,
+  isSuppressed,
+  partitionRecipients,
+  getSuppression,
+  listSuppressions,
+  addSuppressions,
+  removeSuppression,
+  exportSuppressions
+};
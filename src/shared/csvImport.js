@@ -0,0 +1,381 @@
+/**
+ * CSV / TSV recipient import, shared by the server and the dashboard
+ *
+ * Parses RFC 4180 CSV: quoted cells with embedded delimiters, line breaks and
+ * doubled quotes, CRLF or LF line endings and a leading byte order mark. The
+ * delimiter (comma, semicolon, tab or pipe) and a header row are detected
+ * unless given. Each column gets a role:
+ *
+ *   email   the recipient address (exactly one column)
+ *   name    the recipient's name, as the {{name}} merge field
+ *   field   a merge field named after the header ("First Name" -> {{first_name}})
+ *   ignore  not imported
+ *
+ * Rows that cannot be imported are returned with their line number and the
+ * reason instead of being dropped silently. formatRow writes rows back out for
+ * the server's CSV exports.
+ *
+ * Loaded with require() on the server and as a plain script (window.CsvImport)
+ * in the dashboard, so it sticks to syntax both understand.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CsvImport = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DELIMITERS = [',', ';', '\t', '|'];
+  const ROLES = ['email', 'name', 'field', 'ignore'];
+
+  // Header names recognised as the address or name column, after normalizeFieldName
+  const EMAIL_COLUMNS = ['email', 'e_mail', 'email_address', 'emailaddress', 'e_mail_address', 'mail'];
+  const NAME_COLUMNS = ['name', 'full_name', 'fullname', 'display_name', 'contact_name'];
+
+  // Rows looked at when detecting the delimiter and guessing column roles
+  const SAMPLE_ROWS = 50;
+  const SAMPLE_LENGTH = 64 * 1024;
+
+  // Longest raw value quoted back in a rejection
+  const MAX_VALUE_LENGTH = 200;
+
+  /**
+   * Normalize a column name to a merge field name ("First Name" -> "first_name")
+   * Same rule as normalizeFieldName in src/utils/mergeTags.js.
+   * @param {string} name - Raw column name
+   * @returns {string} Normalized name
+   */
+  function normalizeFieldName(name) {
+    return String(name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[\s-]+/g, '_');
+  }
+
+  /**
+   * Rough address check used to find the address column and reject rows
+   * @param {string} value - Cell value
+   * @returns {boolean} True when the value looks like an address
+   */
+  function looksLikeEmail(value) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value || '');
+  }
+
+  /**
+   * Take the address out of a "Name <address>" cell
+   * @param {string} value - Cell value
+   * @returns {string} Address
+   */
+  function extractAddress(value) {
+    const match = String(value || '').match(/<([^<>\s]+)>\s*$/);
+    return (match ? match[1] : String(value || '')).trim();
+  }
+
+  /**
+   * Split text into records
+   * @param {string} text - File content
+   * @param {string} delimiter - Cell delimiter
+   * @returns {Array<{line: number, cells: string[], error: (string|undefined)}>} Records
+   *   with the line they start on; blank lines are left out
+   */
+  function parseRows(text, delimiter) {
+    const source = String(text || '').replace(/^\ufeff/, '');
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    function endCell() {
+      cells.push(quoted ? cell : cell.trim());
+      cell = '';
+      quoted = false;
+    }
+
+    function endRow() {
+      endCell();
+      // Blank lines and rows of empty cells (",,,") are skipped
+      if (cells.some(function (value) { return value !== ''; })) {
+        rows.push({ line: rowLine, cells: cells });
+      }
+      cells = [];
+    }
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (source[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) {
+            line++;
+          }
+          cell += char;
+        }
+      } else if (char === '"' && !quoted && cell.trim() === '') {
+        // Spaces before the opening quote are not part of the cell
+        inQuotes = true;
+        quoted = true;
+        cell = '';
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && source[i + 1] === '\n') {
+          i++;
+        }
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (inQuotes) {
+      endCell();
+      rows.push({ line: rowLine, cells: cells, error: 'Quoted cell is never closed' });
+    } else if (cell !== '' || cells.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Detect the delimiter: the candidate that splits the first rows into the
+   * same number of cells (more than one) most consistently
+   * @param {string} text - File content
+   * @returns {string} Delimiter (comma when nothing fits better)
+   */
+  function detectDelimiter(text) {
+    const sample = String(text || '').slice(0, SAMPLE_LENGTH);
+    let best = { delimiter: ',', score: 0 };
+
+    DELIMITERS.forEach(function (delimiter) {
+      const counts = parseRows(sample, delimiter).slice(0, SAMPLE_ROWS).map(function (row) {
+        return row.cells.length;
+      });
+      if (counts.length === 0) {
+        return;
+      }
+      const frequency = {};
+      counts.forEach(function (count) {
+        frequency[count] = (frequency[count] || 0) + 1;
+      });
+      const mode = Number(Object.keys(frequency).sort(function (a, b) { return frequency[b] - frequency[a]; })[0]);
+      const consistency = frequency[mode] / counts.length;
+      const score = mode > 1 && consistency > 0.5 ? mode * consistency : 0;
+      if (score > best.score) {
+        best = { delimiter: delimiter, score: score };
+      }
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * Decide whether the first row is a header: it has text but no address
+   * @param {Array<{cells: string[]}>} rows - Parsed rows
+   * @returns {boolean} True for a header row
+   */
+  function detectHeader(rows) {
+    if (rows.length === 0) {
+      return false;
+    }
+    const cells = rows[0].cells;
+    return cells.some(function (cell) { return cell !== ''; }) &&
+      !cells.some(function (cell) { return cell.indexOf('@') !== -1; });
+  }
+
+  /**
+   * Guess each column's role from its header and sample values
+   * @param {string[]|null} header - Header cells, or null without a header row
+   * @param {Array<{cells: string[]}>} rows - Data rows
+   * @returns {Array<{index: number, header: string, role: string, field: string, sample: string}>}
+   *   Columns, with the first value found in each as a sample
+   */
+  function guessColumns(header, rows) {
+    const sample = rows.slice(0, SAMPLE_ROWS);
+    const width = Math.max.apply(null, [header ? header.length : 0].concat(sample.map(function (row) {
+      return row.cells.length;
+    })));
+
+    const columns = [];
+    for (let index = 0; index < width; index++) {
+      const name = header ? header[index] || '' : '';
+      const key = normalizeFieldName(name);
+      columns.push({
+        index: index,
+        header: name,
+        role: NAME_COLUMNS.indexOf(key) !== -1 ? 'name' : key ? 'field' : 'ignore',
+        field: key || 'column_' + (index + 1),
+        sample: (sample.filter(function (row) { return row.cells[index]; })[0] || { cells: [] }).cells[index] || '',
+        emails: sample.filter(function (row) { return looksLikeEmail(extractAddress(row.cells[index])); }).length
+      });
+    }
+
+    // A column named like an address column, or else the one with the most addresses
+    let emailColumn = columns.filter(function (column) { return EMAIL_COLUMNS.indexOf(normalizeFieldName(column.header)) !== -1; })[0];
+    if (!emailColumn) {
+      emailColumn = columns.reduce(function (best, column) {
+        return column.emails > (best ? best.emails : 0) ? column : best;
+      }, null);
+    }
+    if (emailColumn) {
+      emailColumn.role = 'email';
+    }
+
+    return columns.map(function (column) {
+      return { index: column.index, header: column.header, role: column.role, field: column.field, sample: column.sample };
+    });
+  }
+
+  /**
+   * Check import options, e.g. a column mapping sent by the dashboard
+   * @param {Object} options - Options for importCSV
+   * @returns {string|null} Error message, or null when the options are usable
+   */
+  function validateOptions(options) {
+    if (options.delimiter !== undefined && DELIMITERS.indexOf(options.delimiter) === -1) {
+      return 'delimiter must be a comma, semicolon, tab or pipe';
+    }
+    if (options.columns !== undefined) {
+      if (!Array.isArray(options.columns)) {
+        return 'columns must be an array with one { role } per column';
+      }
+      const invalid = options.columns.filter(function (column) {
+        return !column || ROLES.indexOf(column.role) === -1;
+      });
+      if (invalid.length > 0) {
+        return 'Each column role must be one of ' + ROLES.join(', ');
+      }
+      const emailColumns = options.columns.filter(function (column) { return column.role === 'email'; }).length;
+      if (emailColumns !== 1) {
+        return 'Exactly one column must be the email column';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Import recipients from CSV or TSV text
+   * @param {string} text - File content
+   * @param {Object} options - Overrides of what is otherwise detected
+   * @param {string} options.delimiter - Cell delimiter: ",", ";", "\t" or "|"
+   * @param {boolean} options.hasHeader - Whether the first row is a header
+   * @param {Array<{role: string, field: string}>} options.columns - Role (and merge field
+   *   name for "field" columns) per column, in column order
+   * @returns {Object} { delimiter, hasHeader, columns, recipients: [{ email, data, line }],
+   *   rejected: [{ line, reason, value }], rows }, or { error } for invalid options
+   */
+  function importCSV(text, options) {
+    options = options || {};
+    const error = validateOptions(options);
+    if (error) {
+      return { error: error };
+    }
+
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const rows = parseRows(text, delimiter);
+    const hasHeader = typeof options.hasHeader === 'boolean' ? options.hasHeader : detectHeader(rows);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    let columns = guessColumns(hasHeader && rows.length > 0 ? rows[0].cells : null, dataRows);
+    if (options.columns) {
+      columns = columns.map(function (column) {
+        const chosen = options.columns[column.index] || { role: 'ignore' };
+        return {
+          index: column.index,
+          header: column.header,
+          role: chosen.role,
+          field: normalizeFieldName(chosen.field) || column.field,
+          sample: column.sample
+        };
+      });
+    }
+
+    const emailColumn = columns.filter(function (column) { return column.role === 'email'; })[0];
+    const recipients = [];
+    const rejected = [];
+
+    dataRows.forEach(function (row) {
+      const reject = function (reason, value) {
+        rejected.push({ line: row.line, reason: reason, value: String(value).slice(0, MAX_VALUE_LENGTH) });
+      };
+
+      if (row.error) {
+        return reject(row.error, row.cells.join(delimiter));
+      }
+      if (!emailColumn) {
+        return reject('No column holds email addresses', row.cells.join(delimiter));
+      }
+
+      const raw = row.cells[emailColumn.index] || '';
+      const email = extractAddress(raw);
+      if (!email) {
+        return reject('Email cell is empty', row.cells.join(delimiter));
+      }
+      if (!looksLikeEmail(email)) {
+        return reject('Not a valid email address', raw);
+      }
+
+      const data = {};
+      columns.forEach(function (column) {
+        const value = row.cells[column.index] !== undefined ? row.cells[column.index] : '';
+        if (column.role === 'name') {
+          data.name = value;
+        } else if (column.role === 'field') {
+          data[column.field] = value;
+        }
+      });
+      recipients.push({ email: email, data: data, line: row.line });
+    });
+
+    return {
+      delimiter: delimiter,
+      hasHeader: hasHeader,
+      columns: columns,
+      recipients: recipients,
+      rejected: rejected,
+      rows: dataRows.length
+    };
+  }
+
+  /**
+   * Format one CSV row, quoting cells that need it
+   * Cells starting with =, +, -, @, a tab or a carriage return get a leading '
+   * so spreadsheets show them as text instead of running them as formulas.
+   * @param {Array} cells - Cell values; null and undefined become empty cells
+   * @returns {string} CSV line without a line break
+   */
+  function formatRow(cells) {
+    return cells.map(function (value) {
+      let text = value === undefined || value === null ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+      }
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',');
+  }
+
+  return {
+    DELIMITERS: DELIMITERS,
+    ROLES: ROLES,
+    normalizeFieldName: normalizeFieldName,
+    parseRows: parseRows,
+    detectDelimiter: detectDelimiter,
+    validateOptions: validateOptions,
+    importCSV: importCSV,
+    formatRow: formatRow
+  };
+});
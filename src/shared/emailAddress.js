@@ -0,0 +1,456 @@
+/**
+ * Email address validation, shared by the server and the dashboard
+ *
+ * Checks RFC 5322 address syntax, converts international domain names to
+ * punycode and applies the RFC 5321 length limits: 64 characters before the
+ * @, 253 in the domain, 254 in all. Quoted local parts ("a b"@example.com)
+ * and IP address literals (a@[192.0.2.1]) are valid RFC 5322 but rejected by
+ * SendGrid, so they count as invalid rather than failing a whole batch.
+ *
+ * Beyond syntax, addresses are flagged for review when their domain looks
+ * like a typo of a common mailbox provider (gmial.com -> gmail.com), when
+ * they are role accounts (info@, support@) or when the domain hands out
+ * disposable mailboxes.
+ *
+ * Addresses are normalized before they are compared: display names are
+ * parsed off ("Jane <jane@example.com>"), the domain is lowercased and in
+ * punycode, and two addresses are the same mailbox when they match ignoring
+ * case. Optionally, provider rules also treat Gmail's dots and plus tags
+ * (j.ane+news@gmail.com) as the same mailbox.
+ *
+ * Loaded with require() on the server and as a plain script
+ * (window.EmailAddress) in the dashboard.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EmailAddress = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MAX_LOCAL_LENGTH = 64;
+  const MAX_DOMAIN_LENGTH = 253;
+  const MAX_ADDRESS_LENGTH = 254;
+
+  const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+  const DOT_ATOM = new RegExp('^[' + ATEXT + ']+(?:\\.[' + ATEXT + ']+)*$');
+  // Quoted local parts and address literals, recognised only to say why they are refused
+  const QUOTED_STRING = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+  const DOMAIN_LITERAL = /^\[[^\[\]]*\]$/;
+  const LABEL = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+  const TLD = /^(?:[a-z]{2,63}|xn--[a-z0-9-]+)$/;
+
+  // Mailbox providers whose near misses are probably typos
+  const COMMON_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'ymail.com',
+    'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'outlook.com', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me',
+    'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'mail.com', 'zoho.com',
+    'yandex.ru', 'mail.ru', 'comcast.net', 'verizon.net', 'att.net', 'sbcglobal.net'
+  ];
+
+  // Real domains within an edit or two of a common one, never suggested as typos
+  const KNOWN_DOMAINS = [
+    'email.com', 'ge.com', 'gm.com', 'ms.com', 'aon.com', 'aim.com', 'att.com', 'web.com',
+    'mail.de', 'gmx.at', 'gmx.ch', 'gmx.fr', 'live.co.uk', 'live.fr', 'live.de', 'msn.co.uk',
+    'yahoo.de', 'yahoo.es', 'yahoo.it', 'yahoo.ca', 'hotmail.de', 'hotmail.es', 'hotmail.it',
+    'outlook.de', 'outlook.fr', 'zoho.eu', 'comcast.com', 'verizon.com', 'mail.ee'
+  ];
+
+  // Shorter domains are one edit from too many real ones to be called typos
+  const MIN_TYPO_LENGTH = 6;
+
+  // Misspelt top-level domains, checked when the domain is not close to a common one
+  const TLD_TYPOS = {
+    con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', comm: 'com', coom: 'com',
+    nte: 'net', ent: 'net', nett: 'net',
+    ogr: 'org', rog: 'org', orgg: 'org'
+  };
+
+  // Local parts that reach a team or a system rather than a person
+  const ROLE_ACCOUNTS = [
+    'abuse', 'admin', 'administrator', 'billing', 'careers', 'contact', 'enquiries', 'help',
+    'hostmaster', 'info', 'inquiries', 'jobs', 'mail', 'marketing', 'newsletter', 'no-reply',
+    'noreply', 'office', 'postmaster', 'privacy', 'root', 'sales', 'security', 'support',
+    'team', 'webmaster'
+  ];
+
+  // Throwaway mailbox services (subdomains included)
+  const DISPOSABLE_DOMAINS = [
+    '10minutemail.com', 'burnermail.io', 'discard.email', 'dispostable.com', 'emailondeck.com',
+    'fakeinbox.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'mailcatch.com',
+    'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com', 'mohmal.com',
+    'mytemp.email', 'sharklasers.com', 'spamgourmet.com', 'temp-mail.org', 'tempail.com',
+    'tempmail.com', 'tempr.email', 'throwawaymail.com', 'trashmail.com', 'yopmail.com'
+  ];
+
+  // Providers whose mailboxes ignore dots in the local part and/or "+tag"
+  // suffixes; `domain` is the canonical domain of aliases
+  const PROVIDER_RULES = {
+    'gmail.com': { dots: true, plus: true },
+    'googlemail.com': { dots: true, plus: true, domain: 'gmail.com' },
+    'outlook.com': { plus: true },
+    'hotmail.com': { plus: true },
+    'live.com': { plus: true },
+    'icloud.com': { plus: true },
+    'me.com': { plus: true },
+    'fastmail.com': { plus: true },
+    'protonmail.com': { plus: true },
+    'proton.me': { plus: true }
+  };
+
+  /**
+   * Edit distance counting a swap of two neighbouring characters as one edit
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Distance
+   */
+  function editDistance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+      d.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+      d[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  /**
+   * Convert a domain to its ASCII (punycode) form
+   * @param {string} domain - Domain as written
+   * @returns {string|null} Lowercased ASCII domain, or null when it cannot be converted
+   */
+  function toAsciiDomain(domain) {
+    if (/^[\x21-\x7e]*$/.test(domain)) {
+      return domain.toLowerCase();
+    }
+    try {
+      // The WHATWG URL parser applies IDNA (UTS #46) to host names
+      const hostname = new URL('http://' + domain + '/').hostname;
+      return hostname && /^[\x21-\x7e]+$/.test(hostname) ? hostname : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Suggest the common domain a domain is probably a typo of
+   * @param {string} domain - ASCII domain
+   * @returns {string|null} Suggested domain
+   */
+  function suggestDomain(domain) {
+    if (COMMON_DOMAINS.indexOf(domain) !== -1 || KNOWN_DOMAINS.indexOf(domain) !== -1) {
+      return null;
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    COMMON_DOMAINS.forEach(function (common) {
+      const distance = editDistance(domain, common);
+      // Short names are only one edit apart from many legitimate domains
+      const allowed = common.length >= 12 ? 2 : domain.length >= MIN_TYPO_LENGTH ? 1 : 0;
+      if (distance > 0 && distance <= allowed && distance < bestDistance) {
+        best = common;
+        bestDistance = distance;
+      }
+    });
+    if (best) {
+      return best;
+    }
+
+    const labels = domain.split('.');
+    const tld = labels.pop();
+    return TLD_TYPOS[tld] ? labels.concat(TLD_TYPOS[tld]).join('.') : null;
+  }
+
+  /**
+   * Whether a domain, or a domain it belongs to, is a disposable mailbox service
+   * @param {string} domain - ASCII domain
+   * @returns {boolean} True for disposable domains
+   */
+  function isDisposableDomain(domain) {
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (DISPOSABLE_DOMAINS.indexOf(labels.slice(i).join('.')) !== -1) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Explain why a local part is not a dot-atom
+   * @param {string} local - Part before the @
+   * @returns {string} Reason
+   */
+  function localPartProblem(local) {
+    if (/[^\x00-\x7f]/.test(local)) {
+      return 'Non-ASCII characters before the @ are not supported';
+    }
+    if (/\s/.test(local)) {
+      return 'Contains spaces';
+    }
+    if (/^\.|\.$|\.\./.test(local)) {
+      return 'The part before the @ starts or ends with a dot, or has two dots in a row';
+    }
+    return 'Contains characters that are not allowed before the @';
+  }
+
+  /**
+   * Check the domain after the @
+   * @param {string} domain - Domain as written
+   * @returns {Object} { domain } in ASCII, or { reason }
+   */
+  function checkDomain(domain) {
+    if (DOMAIN_LITERAL.test(domain)) {
+      return { reason: 'IP addresses after the @ are not accepted by SendGrid' };
+    }
+
+    const ascii = toAsciiDomain(domain);
+    if (!ascii) {
+      return { reason: 'Invalid international domain name' };
+    }
+    if (ascii.length > MAX_DOMAIN_LENGTH) {
+      return { reason: 'The domain is longer than ' + MAX_DOMAIN_LENGTH + ' characters' };
+    }
+
+    const labels = ascii.split('.');
+    if (labels.length < 2) {
+      return { reason: 'The domain has no top-level domain (such as .com)' };
+    }
+    if (labels.some(function (label) { return label === ''; })) {
+      return { reason: 'The domain starts or ends with a dot, or has two dots in a row' };
+    }
+    if (labels.some(function (label) { return label.length > 63; })) {
+      return { reason: 'A part of the domain is longer than 63 characters' };
+    }
+    if (labels.some(function (label) { return !LABEL.test(label); })) {
+      return { reason: 'The domain contains characters that are not allowed' };
+    }
+    if (!TLD.test(labels[labels.length - 1])) {
+      return { reason: 'Invalid top-level domain' };
+    }
+    return { domain: ascii };
+  }
+
+  /**
+   * Validate an address and flag it for review
+   * @param {string} address - Address as entered
+   * @returns {Object} { email, valid, reason, domain, suggestion, role, disposable }:
+   *   reason says why an invalid address is invalid; domain is the ASCII domain;
+   *   suggestion is the address with a probable typo in the domain fixed
+   */
+  function validateAddress(address) {
+    const email = String(address || '').trim();
+    const result = { email: email, valid: false, reason: null, domain: null, suggestion: null, role: false, disposable: false };
+    const fail = function (reason) {
+      result.reason = reason;
+      return result;
+    };
+
+    if (!email) {
+      return fail('The address is empty');
+    }
+    const at = email.lastIndexOf('@');
+    if (at === -1) {
+      return fail('The address has no @');
+    }
+    const local = email.slice(0, at);
+    if (!local) {
+      return fail('Nothing before the @');
+    }
+    if (at === email.length - 1) {
+      return fail('Nothing after the @');
+    }
+
+    if (local.length > MAX_LOCAL_LENGTH) {
+      return fail('The part before the @ is longer than ' + MAX_LOCAL_LENGTH + ' characters');
+    }
+    if (QUOTED_STRING.test(local)) {
+      return fail('Quoted parts before the @ are not accepted by SendGrid');
+    }
+    if (!DOT_ATOM.test(local)) {
+      return fail(localPartProblem(local));
+    }
+
+    const domain = checkDomain(email.slice(at + 1));
+    if (domain.reason) {
+      return fail(domain.reason);
+    }
+    if (local.length + 1 + domain.domain.length > MAX_ADDRESS_LENGTH) {
+      return fail('The address is longer than ' + MAX_ADDRESS_LENGTH + ' characters');
+    }
+
+    result.valid = true;
+    result.domain = domain.domain;
+    result.disposable = isDisposableDomain(domain.domain);
+    const suggested = result.disposable ? null : suggestDomain(domain.domain);
+    result.suggestion = suggested ? local + '@' + suggested : null;
+    result.role = ROLE_ACCOUNTS.indexOf(local.toLowerCase().split('+')[0]) !== -1;
+    return result;
+  }
+
+  /**
+   * Whether an address is valid
+   * @param {string} address - Address
+   * @returns {boolean} True when valid
+   */
+  function isValidAddress(address) {
+    return validateAddress(address).valid;
+  }
+
+  /**
+   * Whether a checked address should be looked at before sending: it is
+   * invalid or probably misspelt
+   * @param {Object} check - Result of validateAddress
+   * @returns {boolean} True when it needs review
+   */
+  function needsReview(check) {
+    return !check.valid || !!check.suggestion;
+  }
+
+  /**
+   * Split a list of addresses on commas, semicolons and line breaks, keeping
+   * quoted names and angle brackets together ("Doe, Jane" <jane@example.com>)
+   * @param {string} text - Address list
+   * @returns {string[]} Trimmed, non-empty entries
+   */
+  function splitAddressList(text) {
+    const entries = [];
+    let current = '';
+    let inQuotes = false;
+    let inBrackets = false;
+    const source = String(text || '');
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '"' && source[i - 1] !== '\\') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && char === '<') {
+        inBrackets = true;
+      } else if (!inQuotes && char === '>') {
+        inBrackets = false;
+      } else if (!inQuotes && !inBrackets && /[,;\r\n]/.test(char)) {
+        entries.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    entries.push(current);
+
+    return entries.map(function (entry) { return entry.trim(); }).filter(Boolean);
+  }
+
+  /**
+   * Separate the display name from the address
+   * @param {string} input - "Jane Doe <jane@example.com>", "\"Doe, Jane\" <jane@example.com>"
+   *   or a bare address
+   * @returns {{name: (string|null), email: string}} Name (null when there is none) and address
+   */
+  function parseAddress(input) {
+    const value = String(input || '').trim();
+    const match = value.match(/^([^<]*?)\s*<([^<>]*)>$/);
+    if (!match) {
+      return { name: null, email: value };
+    }
+
+    let name = match[1].trim();
+    if (/^".*"$/.test(name)) {
+      name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return { name: name || null, email: match[2].trim() };
+  }
+
+  /**
+   * Normalize an address for sending: display name removed, domain lowercased
+   * and in punycode; the part before the @ is kept as entered
+   * @param {string} input - Address, with or without a display name
+   * @returns {string} Normalized address
+   */
+  function normalizeAddress(input) {
+    const email = parseAddress(input).email;
+    const at = email.lastIndexOf('@');
+    if (at < 1) {
+      return email;
+    }
+    const domain = email.slice(at + 1);
+    return email.slice(0, at) + '@' + (toAsciiDomain(domain) || domain.toLowerCase());
+  }
+
+  /**
+   * Key under which addresses count as the same mailbox
+   * @param {string} input - Address, with or without a display name
+   * @param {Object} options - Options
+   * @param {boolean} options.providerRules - Also ignore dots and plus tags where the
+   *   provider does (Gmail, Outlook, iCloud, ...)
+   * @returns {string} Comparison key
+   */
+  function addressKey(input, options) {
+    const email = normalizeAddress(input).toLowerCase();
+    const at = email.lastIndexOf('@');
+    const rules = options && options.providerRules && at > 0 && PROVIDER_RULES[email.slice(at + 1)];
+    if (!rules) {
+      return email;
+    }
+
+    let local = email.slice(0, at);
+    if (rules.plus) {
+      local = local.split('+')[0];
+    }
+    if (rules.dots) {
+      local = local.replace(/\./g, '');
+    }
+    return local + '@' + (rules.domain || email.slice(at + 1));
+  }
+
+  /**
+   * Remove addresses that reach the same mailbox as an earlier one
+   * @param {Array} items - Addresses, or objects holding one
+   * @param {Object} options - Options for addressKey, plus `getEmail` to read the
+   *   address of an item (default: the item itself)
+   * @returns {{unique: Array, duplicates: Array}} First occurrences in order, and the
+   *   items dropped as duplicates
+   */
+  function dedupeAddresses(items, options) {
+    const getEmail = (options && options.getEmail) || function (item) { return item; };
+    const seen = {};
+    const unique = [];
+    const duplicates = [];
+
+    items.forEach(function (item) {
+      const key = addressKey(getEmail(item), options);
+      if (Object.prototype.hasOwnProperty.call(seen, key)) {
+        duplicates.push(item);
+      } else {
+        seen[key] = true;
+        unique.push(item);
+      }
+    });
+
+    return { unique: unique, duplicates: duplicates };
+  }
+
+  return {
+    splitAddressList: splitAddressList,
+    parseAddress: parseAddress,
+    normalizeAddress: normalizeAddress,
+    addressKey: addressKey,
+    dedupeAddresses: dedupeAddresses,
+    validateAddress: validateAddress,
+    isValidAddress: isValidAddress,
+    needsReview: needsReview
+  };
+});
@@ -0,0 +1,142 @@
+/**
+ * Wrap substitution keys in {{ }} the same way the SendGrid client does
+ * @param {Object} substitutions - Map of tag text to value
+ * @returns {Object} Map of {{tag}} to value
+ */
+function wrapSubstitutions(substitutions = {}) {
+  const wrapped = {};
+  Object.keys(substitutions).forEach(key => {
+    wrapped[`{{${key}}}`] = String(substitutions[key]);
+  });
+  return wrapped;
+}
+
+/**
+ * Normalize an address given as a string or { email, name } object
+ * @param {string|Object} address - Address value
+ * @returns {Object} Nodemailer address object
+ */
+function toAddress(address) {
+  if (typeof address === 'string') {
+    return { address, name: '' };
+  }
+  return { address: address.email, name: address.name || '' };
+}
+
+/**
+ * Normalize a single address or list of addresses to an array
+ * @param {*} value - Address, array of addresses or undefined
+ * @returns {Array} Array of nodemailer address objects
+ */
+function toAddressList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(toAddress);
+}
+
+/**
+ * Apply SendGrid-style substitutions to a string
+ * @param {string} content - Subject, HTML or text content
+ * @param {Object} substitutions - Map of {{tag}} to value
+ * @returns {string} Content with substitutions applied
+ */
+function applySubstitutions(content, substitutions) {
+  if (!content) return content;
+  return Object.keys(substitutions).reduce(
+    (result, key) => result.split(key).join(substitutions[key]),
+    content
+  );
+}
+
+/**
+ * X-SMTPAPI header carrying categories and custom args
+ * SendGrid's SMTP relay reads them from this header; other servers ignore it.
+ * @param {Object} msg - SendGrid mail data
+ * @returns {Object} Header by name, empty when the message has neither
+ */
+function smtpApiHeader(msg) {
+  const smtpApi = {};
+  if (msg.categories && msg.categories.length > 0) smtpApi.category = msg.categories;
+  if (msg.customArgs && Object.keys(msg.customArgs).length > 0) smtpApi.unique_args = msg.customArgs;
+  return Object.keys(smtpApi).length > 0 ? { 'X-SMTPAPI': JSON.stringify(smtpApi) } : {};
+}
+
+/**
+ * Expand a SendGrid-shaped message into one nodemailer message per personalization
+ * SendGrid renders personalizations server-side; transports that talk to other
+ * systems need the same result locally.
+ * @param {Object} msg - SendGrid mail data (to/personalizations, from, subject, html, attachments,
+ *   categories, customArgs)
+ * @returns {Array<{recipient: string, message: Object}>} Expanded messages
+ */
+function expandMessage(msg) {
+  const personalizations = msg.personalizations && msg.personalizations.length > 0
+    ? msg.personalizations
+    : [{ to: msg.to, cc: msg.cc, bcc: msg.bcc }];
+
+  const attachments = (msg.attachments || []).map(att => ({
+    filename: att.filename,
+    content: Buffer.from(att.content, 'base64'),
+    contentType: att.type,
+    contentDisposition: att.disposition || 'attachment',
+    cid: att.content_id
+  }));
+  const smtpApi = smtpApiHeader(msg);
+
+  return personalizations.map(personalization => {
+    const substitutions = wrapSubstitutions(personalization.substitutions);
+    const to = toAddressList(personalization.to);
+    const subject = personalization.subject || msg.subject;
+
+    return {
+      recipient: to.length > 0 ? to[0].address : '',
+      message: {
+        from: toAddress(msg.from),
+        to: to,
+        cc: toAddressList(personalization.cc || msg.cc),
+        bcc: toAddressList(personalization.bcc || msg.bcc),
+        replyTo: msg.replyTo ? toAddress(msg.replyTo) : undefined,
+        subject: applySubstitutions(subject, substitutions),
+        html: applySubstitutions(msg.html, substitutions),
+        text: applySubstitutions(msg.text, substitutions),
+        headers: Object.assign({}, msg.headers, personalization.headers, smtpApi),
+        attachments: attachments
+      }
+    };
+  });
+}
+
+/**
+ * Send each expanded message and collect per-recipient failures
+ * Resolves when at least one message was accepted; rejects with the last error
+ * when every message failed.
+ * @param {Object} msg - SendGrid-shaped message
+ * @param {Function} sendOne - Async function sending one nodemailer message, resolving to a message id
+ * @returns {Promise<Object>} Transport result ({ statusCode, messageId, failures })
+ */
+async function sendExpanded(msg, sendOne) {
+  const expanded = expandMessage(msg);
+  const failures = [];
+  let messageId;
+  let lastError;
+
+  for (const { recipient, message } of expanded) {
+    try {
+      const id = await sendOne(message);
+      messageId = messageId || id;
+    } catch (error) {
+      lastError = error;
+      failures.push({ email: recipient, error: error.message });
+    }
+  }
+
+  if (failures.length === expanded.length && lastError) {
+    throw lastError;
+  }
+
+  return { statusCode: 202, messageId, failures };
+}
+
+module.exports = {
+  expandMessage,
+  sendExpanded
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { sendExpanded } = require('./expandMessage');
+
+/**
+ * Create a transport that writes each message as an .eml file to a directory
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Directory for .eml files (created if missing)
+ * @returns {Object} Transport with name and send(msg)
+ */
+function createFileTransport(options = {}) {
+  const directory = path.resolve(options.directory || 'outbox');
+
+  return {
+    name: 'file',
+    directory: directory,
+
+    send(msg) {
+      if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+      }
+
+      return sendExpanded(msg, async message => {
+        const messageId = `<${crypto.randomUUID()}@${path.basename(directory)}.local>`;
+        const raw = await new MailComposer(Object.assign({ messageId }, message)).compile().build();
+
+        const recipient = message.to.length > 0 ? message.to[0].address : 'unknown';
+        const filename = `${Date.now()}-${recipient.replace(/[^\w.@-]/g, '_')}-${crypto.randomBytes(3).toString('hex')}.eml`;
+        fs.writeFileSync(path.join(directory, filename), raw);
+
+        return messageId;
+      });
+    }
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,70 @@
+const createSendGridTransport = require('./sendgridTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+
+/**
+ * Mail transports
+ *
+ * Every transport exposes `name` and `send(msg)`, where `msg` is SendGrid-shaped
+ * mail data (personalizations, from, subject, html, attachments). `send` resolves
+ * to `{ statusCode, messageId, failures }` when the message was accepted
+ * (statusCode 202 for non-SendGrid transports) and rejects when nothing was sent.
+ * `failures` lists recipients whose individual message failed.
+ */
+const TRANSPORTS = {
+  sendgrid: () => createSendGridTransport({
+    apiKey: process.env.SENDGRID_API_KEY
+  }),
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }),
+  file: () => createFileTransport({
+    directory: process.env.MAIL_DROP_DIR || 'outbox'
+  }),
+  memory: () => createMemoryTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Create a transport by name
+ * @param {string} name - One of sendgrid, smtp, file, memory
+ * @returns {Object} Transport
+ */
+function createTransport(name) {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the configured transport (MAIL_TRANSPORT, default "sendgrid")
+ * @returns {Object} Transport
+ */
+function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport((process.env.MAIL_TRANSPORT || 'sendgrid').toLowerCase());
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the active transport (e.g. with a memory transport in tests)
+ * @param {Object} transport - Transport to use
+ */
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { sendExpanded } = require('./expandMessage');
+
+/**
+ * Create a transport that keeps sent messages in memory
+ * Useful for CI and demos: nothing leaves the process.
+ * @param {Object} options - Transport options
+ * @param {number} options.limit - Maximum number of messages kept (oldest dropped first)
+ * @returns {Object} Transport with name, send(msg), messages and clear()
+ */
+function createMemoryTransport(options = {}) {
+  const limit = options.limit || 1000;
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages: messages,
+
+    send(msg) {
+      return sendExpanded(msg, async message => {
+        const messageId = crypto.randomUUID();
+        messages.push({ messageId, sentAt: new Date().toISOString(), message });
+        if (messages.length > limit) {
+          messages.splice(0, messages.length - limit);
+        }
+        return messageId;
+      });
+    },
+
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+module.exports = createMemoryTransport;
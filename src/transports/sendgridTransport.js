@@ -0,0 +1,35 @@
+const sgMail = require('@sendgrid/mail');
+
+/**
+ * Create a transport that sends through the SendGrid v3 Mail Send API
+ * @param {Object} options - Transport options
+ * @param {string} options.apiKey - SendGrid API key
+ * @returns {Object} Transport with name and send(msg)
+ */
+function createSendGridTransport(options = {}) {
+  if (!options.apiKey) {
+    console.warn('Warning: SENDGRID_API_KEY is not set in environment variables');
+  } else {
+    sgMail.setApiKey(options.apiKey);
+  }
+
+  return {
+    name: 'sendgrid',
+
+    async send(msg) {
+      const response = await sgMail.send(msg);
+
+      if (!response || !Array.isArray(response) || response.length === 0) {
+        throw new Error('Invalid response format');
+      }
+
+      return {
+        statusCode: response[0].statusCode,
+        messageId: response[0].headers['x-message-id'],
+        failures: []
+      };
+    }
+  };
+}
+
+module.exports = createSendGridTransport;
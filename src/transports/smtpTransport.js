@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+const { sendExpanded } = require('./expandMessage');
+
+/**
+ * Create a transport that relays through a generic SMTP server
+ * @param {Object} options - Transport options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (usually port 465)
+ * @param {string} options.user - SMTP username (optional)
+ * @param {string} options.pass - SMTP password (optional)
+ * @returns {Object} Transport with name and send(msg)
+ */
+function createSmtpTransport(options = {}) {
+  if (!options.host) {
+    console.warn('Warning: SMTP_HOST is not set in environment variables');
+  }
+
+  const mailer = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send(msg) {
+      return sendExpanded(msg, async message => {
+        const info = await mailer.sendMail(message);
+        return info.messageId;
+      });
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -131,33 +131,13 @@ function matchImagesWithUploads(htmlContent, uploadedImages) {
       imageMap.set(lowerFilename, {
         filename: filename,
         path: file.path,
+        mimetype: file.mimetype,
         cid: `img_${index}_${Date.now()}`
       });
     }
   });
   
-  // Extract image references from HTML
-  const imgRegex = /<img[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  const styleRegex = /style\s*=\s*["'][^"']*background-image\s*:\s*url\(["']?([^"')]+)["']?\)/gi;
-  
-  const imageRefs = new Set();
-  let match;
-  
-  // Extract from img tags
-  while ((match = imgRegex.exec(htmlContent)) !== null) {
-    const src = match[1];
-    if (!src.startsWith('data:') && !src.startsWith('http://') && !src.startsWith('https://')) {
-      imageRefs.add(src);
-    }
-  }
-  
-  // Extract from background-image styles
-  while ((match = styleRegex.exec(htmlContent)) !== null) {
-    const src = match[1];
-    if (!src.startsWith('data:') && !src.startsWith('http://') && !src.startsWith('https://')) {
-      imageRefs.add(src);
-    }
-  }
+  const imageRefs = findImageReferences(htmlContent);
   
   // Match references with uploaded files
   imageRefs.forEach(src => {
@@ -170,6 +150,7 @@ function matchImagesWithUploads(htmlContent, uploadedImages) {
         src: src,
         filename: imageInfo.filename,
         path: imageInfo.path,
+        mimetype: imageInfo.mimetype,
         cid: imageInfo.cid,
         matched: true
       });
@@ -182,6 +163,7 @@ function matchImagesWithUploads(htmlContent, uploadedImages) {
             src: src,
             filename: value.filename,
             path: value.path,
+            mimetype: value.mimetype,
             cid: value.cid,
             matched: true
           });
@@ -194,6 +176,38 @@ function matchImagesWithUploads(htmlContent, uploadedImages) {
   return matchedImages;
 }
 
+/**
+ * Collect the local image references (img src and background-image urls) in HTML
+ * Data URIs and http(s) URLs are skipped since they need no attachment.
+ * @param {string} htmlContent - HTML content
+ * @returns {string[]} Unique image references
+ */
+function findImageReferences(htmlContent) {
+  const imgRegex = /<img[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi;
+  const styleRegex = /style\s*=\s*["'][^"']*background-image\s*:\s*url\(["']?([^"')]+)["']?\)/gi;
+  
+  const imageRefs = new Set();
+  let match;
+  
+  // Extract from img tags
+  while ((match = imgRegex.exec(htmlContent)) !== null) {
+    const src = match[1];
+    if (!src.startsWith('data:') && !src.startsWith('http://') && !src.startsWith('https://')) {
+      imageRefs.add(src);
+    }
+  }
+  
+  // Extract from background-image styles
+  while ((match = styleRegex.exec(htmlContent)) !== null) {
+    const src = match[1];
+    if (!src.startsWith('data:') && !src.startsWith('http://') && !src.startsWith('https://')) {
+      imageRefs.add(src);
+    }
+  }
+  
+  return Array.from(imageRefs);
+}
+
 /**
  * Escape special regex characters
  */
@@ -204,5 +218,6 @@ function escapeRegex(str) {
 module.exports = {
   extractImagesFromHTML,
   replaceImagesWithCID,
-  matchImagesWithUploads
+  matchImagesWithUploads,
+  findImageReferences
 };
@@ -0,0 +1,184 @@
+/**
+ * Plain-text rendering of HTML email content for the text/plain part.
+ *
+ * Links become numbered footnotes, lists keep their bullets/numbers and
+ * nesting, and images are replaced by their alt text. Merge tags such as
+ * {{first_name}} pass through untouched.
+ */
+
+// Markers that survive whitespace collapsing; replaced at the end
+const BLOCK = '\u0002';
+const LINE = '\u0003';
+const INDENT = '\u0001';
+
+const BLOCK_TAGS = 'p|div|h[1-6]|table|thead|tbody|tfoot|tr|blockquote|section|article|header|footer|main|nav|aside|center|pre|address|form|fieldset|dl|dt|dd';
+
+// Innermost list only: no other <ul>/<ol> between the opening and closing tag
+const LIST_REGEX = /<(ul|ol)\b([^>]*)>((?:(?!<(?:ul|ol)\b)[\s\S])*?)<\/\1\s*>/gi;
+
+const NAMED_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£'
+};
+
+/**
+ * Read an attribute value from a tag or attribute string
+ * @param {string} tag - Tag source, e.g. `<a href="...">`
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Decoded attribute value
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return undefined;
+  return decodeEntities(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+}
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Remove all tags from an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {string} Text content
+ */
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+/**
+ * Render one (innermost) list as marker-separated lines
+ * @param {string} type - 'ul' or 'ol'
+ * @param {string} attributes - Attributes of the list tag
+ * @param {string} inner - Content between the list tags
+ * @returns {string} Rendered list
+ */
+function renderList(type, attributes, inner) {
+  const start = parseInt(getAttribute(`<${type} ${attributes}>`, 'start'), 10) || 1;
+  const items = inner.split(/<li\b[^>]*>/i).slice(1);
+
+  const lines = items.map((item, index) => {
+    const content = item
+      .replace(/<\/li\s*>/gi, '')
+      .replace(new RegExp(`^[\\s${BLOCK}${LINE}]+|[\\s${BLOCK}${LINE}]+$`, 'g'), '')
+      // Continuation lines and nested lists are indented under the item
+      .replace(new RegExp(`[\\s${BLOCK}${LINE}]*[${BLOCK}${LINE}][\\s${BLOCK}${LINE}]*`, 'g'), LINE + INDENT.repeat(3));
+    const marker = type.toLowerCase() === 'ol' ? `${start + index}.` : '*';
+    return `${marker} ${content}`;
+  });
+
+  return BLOCK + lines.join(LINE) + BLOCK;
+}
+
+/**
+ * Convert HTML to readable plain text
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  const links = [];
+  let text = String(html || '');
+
+  const body = text.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i);
+  if (body) {
+    text = body[1];
+  }
+
+  // Parts that are never displayed
+  text = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+  // Images: keep the alt text
+  text = text.replace(/<img\b[^>]*>/gi, tag => {
+    const alt = (getAttribute(tag, 'alt') || '').trim();
+    return alt ? `[${alt}]` : '';
+  });
+
+  // Links: label followed by a footnote number; the URLs are listed at the end
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (match, attributes, inner) => {
+    const href = (getAttribute(`<a ${attributes}>`, 'href') || '').trim();
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+      return inner;
+    }
+
+    const label = decodeEntities(stripTags(inner)).replace(/\s+/g, ' ').trim();
+    const target = href.replace(/^mailto:/i, '');
+    if (label === href || label === target || label === href.replace(/^https?:\/\//i, '')) {
+      return inner;
+    }
+
+    let number = links.indexOf(href) + 1;
+    if (!number) {
+      number = links.push(href);
+    }
+    return label ? `${inner} [${number}]` : `[${number}]`;
+  });
+
+  // Line and block structure
+  text = text
+    .replace(/<br\s*\/?>/gi, LINE)
+    .replace(/<hr\b[^>]*>/gi, `${BLOCK}----------${BLOCK}`)
+    .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), BLOCK)
+    .replace(/<\/t[dh]\s*>/gi, ' ');
+
+  // Lists, innermost first so nested lists end up indented
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(LIST_REGEX, (match, type, attributes, inner) => renderList(type, attributes, inner));
+  } while (text !== previous);
+
+  text = decodeEntities(stripTags(text))
+    .replace(/[ \t\r\n\f\v]+/g, ' ')
+    .replace(new RegExp(BLOCK, 'g'), '\n\n')
+    .replace(new RegExp(LINE, 'g'), '\n')
+    .split('\n')
+    .map(line => {
+      const rendered = line.trim().replace(new RegExp(INDENT, 'g'), ' ');
+      return rendered.trim() ? rendered : '';
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (links.length > 0) {
+    text += '\n\n' + links.map((href, index) => `[${index + 1}] ${href}`).join('\n');
+  }
+
+  return text;
+}
+
+module.exports = {
+  htmlToText
+};
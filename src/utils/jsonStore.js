@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root directory for everything the server persists (jobs, history, lists, ...)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+/**
+ * Build a path inside the data directory
+ * @param {...string} parts - Path segments relative to DATA_DIR
+ * @returns {string} Absolute path
+ */
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * Create a directory (and parents) if it does not exist
+ * @param {string} dir - Directory path
+ * @returns {string} The directory path
+ */
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed content or fallback
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write JSON atomically: write a temp file, then rename it over the target,
+ * so a crash mid-write never leaves a truncated file behind
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON-serializable data
+ */
+function writeJson(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  ensureDir,
+  readJson,
+  writeJson
+};
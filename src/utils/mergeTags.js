@@ -0,0 +1,177 @@
+/**
+ * Mail-merge helpers for {{field}} placeholders.
+ *
+ * Placeholders look like `{{first_name}}` and may carry a default value used
+ * when the recipient's cell is blank: `{{first_name|there}}`. Field names are
+ * matched case-insensitively against the normalized CSV column names.
+ */
+
+const MERGE_TAG_REGEX = /\{\{\s*([A-Za-z_][\w.-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Normalize a field or column name for lookups ("First Name" -> "first_name")
+ * @param {string} name - Raw field or column name
+ * @returns {string} Normalized name
+ */
+function normalizeFieldName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Extract merge tags from a template string
+ * @param {string} template - Subject or HTML containing {{field}} placeholders
+ * @returns {Array<{tag: string, field: string, defaultValue: (string|undefined)}>} Unique tags
+ */
+function extractMergeTags(template) {
+  const tags = new Map();
+  const regex = new RegExp(MERGE_TAG_REGEX.source, 'g');
+  let match;
+
+  while ((match = regex.exec(template || '')) !== null) {
+    const tag = match[0].slice(2, -2);
+    if (!tags.has(tag)) {
+      tags.set(tag, {
+        tag: tag,
+        field: normalizeFieldName(match[1]),
+        defaultValue: match[2] !== undefined ? match[2].trim() : undefined
+      });
+    }
+  }
+
+  return Array.from(tags.values());
+}
+
+/**
+ * Resolve the value of a single tag for a recipient
+ * @param {Object} tag - Tag object from extractMergeTags
+ * @param {Object} data - Recipient data keyed by normalized field name
+ * @returns {string|undefined} Value, or undefined when the data has no such field
+ */
+function resolveMergeTag(tag, data) {
+  const value = data ? data[tag.field] : undefined;
+
+  if (value !== undefined && value !== null && String(value).trim() !== '') {
+    return String(value);
+  }
+  if (tag.defaultValue !== undefined) {
+    return tag.defaultValue;
+  }
+  return value === undefined || value === null ? undefined : '';
+}
+
+/**
+ * Replace merge tags in a template with recipient data
+ * @param {string} template - Template string
+ * @param {Object} data - Recipient data keyed by normalized field name
+ * @param {Object} options - Render options
+ * @param {Function} options.escape - Optional function applied to each value (e.g. escapeHtml)
+ * @returns {string} Rendered string
+ */
+function renderMergeTags(template, data, options = {}) {
+  const substitutions = buildSubstitutions(template, data, options);
+
+  return (template || '').replace(
+    new RegExp(MERGE_TAG_REGEX.source, 'g'),
+    match => substitutions[match.slice(2, -2)]
+  );
+}
+
+/**
+ * Build a SendGrid substitutions object for a template
+ * Keys are the raw tag text, which SendGrid wraps in {{ }} when sending.
+ * @param {string} template - Template string
+ * @param {Object} data - Recipient data keyed by normalized field name
+ * @param {Object} options - Render options
+ * @param {Function} options.escape - Optional function applied to each value
+ * @param {string} options.prefix - Optional key prefix, matching prefixMergeTags
+ * @returns {Object} Map of tag text to value
+ */
+function buildSubstitutions(template, data, options = {}) {
+  const escape = options.escape || (value => value);
+  const prefix = options.prefix || '';
+  const substitutions = {};
+
+  extractMergeTags(template).forEach(tag => {
+    const value = resolveMergeTag(tag, data);
+    substitutions[prefix + tag.tag] = escape(value === undefined ? '' : value);
+  });
+
+  return substitutions;
+}
+
+/**
+ * Prefix every merge tag in a template (`{{name}}` -> `{{text:name}}`)
+ * SendGrid applies one substitutions map to every part of a message, so parts
+ * that need differently escaped values use their own prefixed keys.
+ * @param {string} template - Template string
+ * @param {string} prefix - Prefix to add inside the braces
+ * @returns {string} Template with prefixed tags
+ */
+function prefixMergeTags(template, prefix) {
+  return (template || '').replace(
+    new RegExp(MERGE_TAG_REGEX.source, 'g'),
+    match => `{{${prefix}${match.slice(2, -2)}}}`
+  );
+}
+
+/**
+ * Find merge fields used by the templates that recipients cannot fill
+ * A field is missing for a recipient when their data has no such column and the
+ * tag has no default value. Blank cells are not missing.
+ * @param {string[]} templates - Templates to check (subject, HTML, ...)
+ * @param {Array<{email: string, data: Object}>} recipients - Recipients with merge data
+ * @returns {Array<{field: string, tag: string, count: number, recipients: string[]}>} Missing fields
+ */
+function findMissingMergeFields(templates, recipients) {
+  const missing = new Map();
+  const tags = templates.flatMap(template => extractMergeTags(template));
+
+  recipients.forEach(recipient => {
+    const data = Object.assign({ email: recipient.email }, recipient.data);
+    const missingFields = new Set();
+
+    tags.forEach(tag => {
+      if (resolveMergeTag(tag, data) !== undefined || missingFields.has(tag.field)) return;
+      missingFields.add(tag.field);
+
+      if (!missing.has(tag.field)) {
+        missing.set(tag.field, { field: tag.field, tag: tag.tag, count: 0, recipients: [] });
+      }
+      const entry = missing.get(tag.field);
+      entry.count++;
+      // Keep the report readable for large lists
+      if (entry.recipients.length < 20) {
+        entry.recipients.push(recipient.email);
+      }
+    });
+  });
+
+  return Array.from(missing.values());
+}
+
+/**
+ * Escape a value for safe insertion into HTML
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  normalizeFieldName,
+  extractMergeTags,
+  renderMergeTags,
+  buildSubstitutions,
+  prefixMergeTags,
+  findMissingMergeFields,
+  escapeHtml
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+/**
+ * Message size budgeting
+ *
+ * Measures a message the way it goes over the wire: HTML and text parts
+ * quoted-printable encoded, attachments and inline images base64 encoded in
+ * 76-character lines, plus MIME headers. SendGrid rejects messages over 30 MB;
+ * Gmail clips HTML bodies over 102 KB behind a "[Message clipped]" link.
+ */
+
+// SendGrid's limit for a whole message, attachments included
+const MAX_MESSAGE_SIZE = 30 * 1024 * 1024;
+
+// Gmail hides everything after the first 102 KB of HTML
+const GMAIL_CLIP_SIZE = 102 * 1024;
+
+// Rough size of the top-level headers, and of the MIME headers of each part
+const HEADER_OVERHEAD = 1024;
+const PART_OVERHEAD = 200;
+
+/**
+ * Size of data once base64 encoded in 76-character lines
+ * @param {number} bytes - Raw size
+ * @returns {number} Encoded size in bytes
+ */
+function base64Size(bytes) {
+  const encoded = Math.ceil(bytes / 3) * 4;
+  return encoded + Math.ceil(encoded / 76) * 2;
+}
+
+/**
+ * Size of text once quoted-printable encoded
+ * @param {string} text - Text content
+ * @returns {number} Encoded size in bytes
+ */
+function quotedPrintableSize(text) {
+  const bytes = Buffer.from(text || '', 'utf8');
+  let size = 0;
+  for (const byte of bytes) {
+    // Printable ASCII except "=" stays as is; line breaks are kept too
+    size += (byte >= 32 && byte <= 126 && byte !== 61) || byte === 10 || byte === 13 || byte === 9 ? 1 : 3;
+  }
+  // Soft line breaks ("=\r\n") keep lines under 76 characters
+  return size + Math.floor(size / 73) * 3;
+}
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "12.4 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Measure one message
+ * @param {Object} message - Message parts
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - Final HTML
+ * @param {string} message.text - Plain-text part
+ * @param {Array} message.attachments - Attachments with filename, path, disposition and cid
+ * @returns {Object} Sizes in bytes: html and text (raw), attachments (encoded), total
+ *   (encoded), limit, overLimit, gmailClipLimit, htmlClipped and a per-attachment breakdown
+ */
+function measureMessage({ subject, html, text, attachments = [] }) {
+  const items = attachments.map(att => {
+    const size = fs.existsSync(att.path) ? fs.statSync(att.path).size : 0;
+    return {
+      filename: att.filename,
+      disposition: att.disposition || 'attachment',
+      cid: att.cid,
+      size,
+      encodedSize: base64Size(size) + PART_OVERHEAD
+    };
+  });
+
+  const htmlSize = Buffer.byteLength(html || '', 'utf8');
+  const textSize = Buffer.byteLength(text || '', 'utf8');
+  const attachmentSize = items.reduce((sum, item) => sum + item.encodedSize, 0);
+  const total = HEADER_OVERHEAD
+    + Buffer.byteLength(subject || '', 'utf8')
+    + quotedPrintableSize(html) + PART_OVERHEAD
+    + quotedPrintableSize(text) + PART_OVERHEAD
+    + attachmentSize;
+
+  return {
+    html: htmlSize,
+    text: textSize,
+    attachments: attachmentSize,
+    total,
+    limit: MAX_MESSAGE_SIZE,
+    overLimit: total > MAX_MESSAGE_SIZE,
+    gmailClipLimit: GMAIL_CLIP_SIZE,
+    htmlClipped: htmlSize > GMAIL_CLIP_SIZE,
+    items
+  };
+}
+
+/**
+ * Explain why a message is over the limit, largest parts first
+ * @param {Object} size - Result of measureMessage
+ * @returns {string} Description
+ */
+function describeOverLimit(size) {
+  const parts = size.items
+    .map(item => ({ name: item.filename, size: item.encodedSize }))
+    .concat([{ name: 'HTML', size: size.html }])
+    .sort((a, b) => b.size - a.size)
+    .map(part => `${part.name} ${formatBytes(part.size)}`);
+
+  return `Each message would be ${formatBytes(size.total)} encoded; SendGrid accepts at most ${formatBytes(size.limit)}. ` +
+    `Largest parts: ${parts.slice(0, 5).join(', ')}`;
+}
+
+module.exports = {
+  MAX_MESSAGE_SIZE,
+  GMAIL_CLIP_SIZE,
+  measureMessage,
+  describeOverLimit,
+  formatBytes
+};
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment content types
+ *
+ * Types come from the file's leading bytes first ("magic numbers"), then from
+ * its extension, then from the type the browser reported on upload. When the
+ * content clearly is one thing and the extension says another (a .pdf that is
+ * really a PNG, an .exe renamed to .jpg), the attachment is flagged so the
+ * sender can look before it goes out.
+ */
+
+const DEFAULT_TYPE = 'application/octet-stream';
+
+// Bytes read from the start of a file for sniffing; enough to see the entry
+// names at the start of an Office (ZIP) document
+const SNIFF_LENGTH = 64 * 1024;
+
+const EXTENSION_TYPES = {
+  // Images
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.jpe': 'image/jpeg',
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ico': 'image/vnd.microsoft.icon',
+  '.svg': 'image/svg+xml',
+  '.psd': 'image/vnd.adobe.photoshop',
+
+  // Documents
+  '.pdf': 'application/pdf',
+  '.rtf': 'application/rtf',
+  '.doc': 'application/msword',
+  '.dot': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.dotx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.template',
+  '.docm': 'application/vnd.ms-word.document.macroEnabled.12',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xltx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.template',
+  '.xlsm': 'application/vnd.ms-excel.sheet.macroEnabled.12',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.ppsx': 'application/vnd.openxmlformats-officedocument.presentationml.slideshow',
+  '.pptm': 'application/vnd.ms-powerpoint.presentation.macroEnabled.12',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.odg': 'application/vnd.oasis.opendocument.graphics',
+  '.epub': 'application/epub+zip',
+  '.pages': 'application/vnd.apple.pages',
+  '.numbers': 'application/vnd.apple.numbers',
+  '.key': 'application/vnd.apple.keynote',
+  '.msg': 'application/vnd.ms-outlook',
+  '.eml': 'message/rfc822',
+
+  // Text and data
+  '.txt': 'text/plain',
+  '.text': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.ics': 'text/calendar',
+  '.ifb': 'text/calendar',
+  '.vcf': 'text/vcard',
+  '.vcard': 'text/vcard',
+
+  // Archives
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+
+  // Audio and video
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.mid': 'audio/midi',
+  '.midi': 'audio/midi',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.3gp': 'video/3gpp',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.ogv': 'video/ogg',
+
+  // Fonts
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+
+  // Executables and installers
+  '.exe': 'application/vnd.microsoft.portable-executable',
+  '.dll': 'application/vnd.microsoft.portable-executable',
+  '.msi': 'application/x-msi',
+  '.dmg': 'application/x-apple-diskimage',
+  '.apk': 'application/vnd.android.package-archive',
+  '.jar': 'application/java-archive',
+  '.wasm': 'application/wasm'
+};
+
+// Container formats: content sniffing only sees the container, the extension
+// tells which format inside it the file is
+const CONTAINERS = {
+  'application/zip': [
+    'application/zip',
+    'application/epub+zip',
+    'application/java-archive',
+    'application/vnd.android.package-archive',
+    'application/vnd.apple.pages',
+    'application/vnd.apple.numbers',
+    'application/vnd.apple.keynote'
+  ],
+  'application/x-ole-storage': [
+    'application/msword',
+    'application/vnd.ms-excel',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.ms-outlook',
+    'application/x-msi'
+  ],
+  'video/mp4': [
+    'video/mp4',
+    'audio/mp4',
+    'video/quicktime',
+    'video/3gpp'
+  ],
+  'application/ogg': [
+    'audio/ogg',
+    'video/ogg'
+  ],
+  'video/x-matroska': [
+    'video/x-matroska',
+    'video/webm'
+  ],
+  'image/heic': [
+    'image/heic',
+    'image/heif'
+  ],
+  'image/heif': [
+    'image/heic',
+    'image/heif'
+  ]
+};
+
+// ZIP-based formats, all fine with a .zip extension
+const ZIP_TYPES = [
+  'application/zip',
+  'application/epub+zip',
+  'application/vnd.oasis.opendocument.',
+  'application/vnd.openxmlformats-officedocument.'
+];
+
+// Text formats; text content may carry the extension of any of them
+const TEXT_TYPES = [
+  'text/',
+  'application/json',
+  'application/xml',
+  'application/yaml',
+  'application/rtf',
+  'image/svg+xml',
+  'message/rfc822'
+];
+
+/**
+ * Check a type against a list of types and type prefixes
+ * @param {string} type - MIME type
+ * @param {string[]} list - Types; entries ending in "/" or "." are prefixes
+ * @returns {boolean} True when listed
+ */
+function isListed(type, list) {
+  return list.some(entry => /[/.]$/.test(entry) ? type.startsWith(entry) : type === entry);
+}
+
+// ISO base media (ftyp) brands of still images; every other brand is some
+// MP4/QuickTime flavour the extension tells apart
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  avif: 'image/avif',
+  avis: 'image/avif'
+};
+
+/**
+ * Check for a byte signature
+ * @param {Buffer} bytes - File head
+ * @param {Array<number>|string} signature - Bytes or a latin1 string
+ * @param {number} offset - Where the signature starts
+ * @returns {boolean} True when it matches
+ */
+function startsWith(bytes, signature, offset = 0) {
+  const expected = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return bytes.length >= offset + expected.length &&
+    bytes.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Tell the Office and OpenDocument formats apart from plain ZIP archives
+ * @param {Buffer} bytes - File head
+ * @returns {string} MIME type
+ */
+function sniffZip(bytes) {
+  // OpenDocument and EPUB store their type uncompressed as the first entry
+  if (startsWith(bytes, 'mimetype', 30)) {
+    const type = bytes.subarray(38, 38 + 80).toString('latin1').match(/^[\w.+-]+\/[\w.+-]+/);
+    if (type) return type[0];
+  }
+
+  const names = bytes.toString('latin1');
+  if (names.includes('[Content_Types].xml') || names.includes('_rels/.rels')) {
+    if (names.includes('word/')) return EXTENSION_TYPES['.docx'];
+    if (names.includes('xl/')) return EXTENSION_TYPES['.xlsx'];
+    if (names.includes('ppt/')) return EXTENSION_TYPES['.pptx'];
+  }
+  return 'application/zip';
+}
+
+/**
+ * Whether the bytes look like text (UTF-8, no control characters but whitespace)
+ * @param {Buffer} bytes - File head
+ * @returns {boolean} True for text
+ */
+function isText(bytes) {
+  if (bytes.length === 0) return false;
+  // A cut-off multi-byte character at the end is fine
+  const text = bytes.toString('utf8', 0, Math.min(bytes.length, 4096));
+  const sample = bytes.length > 4096 ? text.slice(0, -1) : text;
+  return !/[\u0000-\u0008\u000e-\u001a\u001c-\u001f\ufffd]/.test(sample);
+}
+
+/**
+ * Refine text content into the text formats recognisable from their start
+ * @param {Buffer} bytes - File head
+ * @returns {string} MIME type
+ */
+function sniffText(bytes) {
+  const start = bytes.toString('utf8', 0, Math.min(bytes.length, 1024)).replace(/^\ufeff/, '').trimStart();
+  const head = start.slice(0, 256).toLowerCase();
+
+  if (head.startsWith('begin:vcalendar')) return 'text/calendar';
+  if (head.startsWith('begin:vcard')) return 'text/vcard';
+  if (head.startsWith('{\\rtf')) return 'application/rtf';
+  if (/^<!doctype html|^<html[\s>]/.test(head)) return 'text/html';
+  if (/<svg[\s>]/.test(start.toLowerCase())) return 'image/svg+xml';
+  if (head.startsWith('<?xml')) return 'application/xml';
+  return 'text/plain';
+}
+
+/**
+ * Detect a type from file content
+ * @param {Buffer} bytes - File head
+ * @returns {string|null} MIME type, or null when the content is not recognised
+ */
+function sniffBytes(bytes) {
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(bytes, 'GIF87a') || startsWith(bytes, 'GIF89a')) return 'image/gif';
+  if (startsWith(bytes, 'RIFF') && startsWith(bytes, 'WEBP', 8)) return 'image/webp';
+  if (startsWith(bytes, 'RIFF') && startsWith(bytes, 'WAVE', 8)) return 'audio/wav';
+  if (startsWith(bytes, 'RIFF') && startsWith(bytes, 'AVI ', 8)) return 'video/x-msvideo';
+  if (startsWith(bytes, 'BM') && bytes.length > 14 && bytes.readUInt32LE(2) > 0 && startsWith(bytes, [0, 0, 0, 0], 6)) return 'image/bmp';
+  if (startsWith(bytes, [0x49, 0x49, 0x2a, 0x00]) || startsWith(bytes, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (startsWith(bytes, [0x00, 0x00, 0x01, 0x00]) && bytes.length > 6 && bytes[4] > 0) return 'image/vnd.microsoft.icon';
+  if (startsWith(bytes, '8BPS')) return 'image/vnd.adobe.photoshop';
+  if (startsWith(bytes, 'ftyp', 4)) {
+    return FTYP_BRANDS[bytes.subarray(8, 12).toString('latin1')] || 'video/mp4';
+  }
+  if (startsWith(bytes, '%PDF-')) return 'application/pdf';
+  if (startsWith(bytes, 'PK\x03\x04') || startsWith(bytes, 'PK\x05\x06')) return sniffZip(bytes);
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'application/x-ole-storage';
+  if (startsWith(bytes, [0x1f, 0x8b])) return 'application/gzip';
+  if (startsWith(bytes, 'BZh')) return 'application/x-bzip2';
+  if (startsWith(bytes, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])) return 'application/x-xz';
+  if (startsWith(bytes, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return 'application/x-7z-compressed';
+  if (startsWith(bytes, 'Rar!\x1a\x07')) return 'application/vnd.rar';
+  if (startsWith(bytes, 'ustar', 257)) return 'application/x-tar';
+  if (startsWith(bytes, 'ID3') || startsWith(bytes, [0xff, 0xfb]) || startsWith(bytes, [0xff, 0xf3])) return 'audio/mpeg';
+  if (startsWith(bytes, 'OggS')) return 'application/ogg';
+  if (startsWith(bytes, 'fLaC')) return 'audio/flac';
+  if (startsWith(bytes, 'MThd')) return 'audio/midi';
+  if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/x-matroska';
+  if (startsWith(bytes, 'wOFF')) return 'font/woff';
+  if (startsWith(bytes, 'wOF2')) return 'font/woff2';
+  if (startsWith(bytes, 'OTTO')) return 'font/otf';
+  if (startsWith(bytes, [0x00, 0x01, 0x00, 0x00, 0x00])) return 'font/ttf';
+  if (startsWith(bytes, 'MZ')) return 'application/vnd.microsoft.portable-executable';
+  if (startsWith(bytes, [0x00, 0x61, 0x73, 0x6d])) return 'application/wasm';
+  if (isText(bytes)) return sniffText(bytes);
+  return null;
+}
+
+/**
+ * Read the head of a file
+ * @param {string} filePath - File path
+ * @returns {Buffer|null} Up to SNIFF_LENGTH bytes, or null when unreadable
+ */
+function readHead(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const length = fs.readSync(fd, buffer, 0, SNIFF_LENGTH, 0);
+    return buffer.subarray(0, length);
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Whether content of one type may carry an extension of another
+ * @param {string} sniffed - Type from content
+ * @param {string} declared - Type from the extension
+ * @returns {boolean} True when they agree
+ */
+function isCompatible(sniffed, declared) {
+  if (sniffed === declared) return true;
+  if ((CONTAINERS[sniffed] || []).includes(declared)) return true;
+  // Text is text: a .csv, .md or .ics may hold anything readable
+  if (isListed(sniffed, TEXT_TYPES)) return isListed(declared, TEXT_TYPES);
+  if (isListed(sniffed, ZIP_TYPES)) {
+    if (declared === 'application/zip') return true;
+    // Templates and macro-enabled Office files look just like the plain ones
+    return sniffed === 'application/zip' || sniffed.startsWith('application/vnd.openxmlformats-officedocument.')
+      ? declared.startsWith('application/vnd.openxmlformats-officedocument.') || /macroEnabled/.test(declared)
+      : false;
+  }
+  return false;
+}
+
+/**
+ * Look up the type for a file name's extension
+ * @param {string} filename - File name
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+function typeFromExtension(filename) {
+  return EXTENSION_TYPES[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Detect an attachment's content type
+ * @param {Object} file - File details
+ * @param {string} file.path - File on disk
+ * @param {string} file.filename - Original file name (defaults to the path's)
+ * @param {string} file.mimetype - Type the browser reported on upload, if any
+ * @returns {{type: string, source: string, detected: string|null, extensionType: string|null,
+ *   mismatch: boolean, warning: string|null}} The type to send, where it came from
+ *   (content, extension, browser or default) and whether the extension contradicts the content
+ */
+function detectMimeType({ path: filePath, filename, mimetype }) {
+  const name = filename || path.basename(filePath || '');
+  const head = filePath ? readHead(filePath) : null;
+  const detected = head ? sniffBytes(head) : null;
+  const extensionType = typeFromExtension(name);
+  const browserType = mimetype && mimetype !== DEFAULT_TYPE ? mimetype.toLowerCase() : null;
+
+  const result = { type: DEFAULT_TYPE, source: 'default', detected, extensionType, mismatch: false, warning: null };
+
+  if (detected && extensionType) {
+    if (isCompatible(detected, extensionType)) {
+      // The extension names the exact format inside a container or text file
+      Object.assign(result, { type: extensionType, source: extensionType === detected ? 'content' : 'extension' });
+    } else {
+      Object.assign(result, {
+        type: detected,
+        source: 'content',
+        mismatch: true,
+        warning: `${name} has a ${path.extname(name)} extension (${extensionType}) but its content is ${detected}`
+      });
+    }
+  } else if (detected && detected !== 'application/x-ole-storage') {
+    // Unknown extension: trust the content, or the browser when it is more specific
+    const type = detected === 'text/plain' && browserType && browserType.startsWith('text/') ? browserType : detected;
+    Object.assign(result, { type, source: type === detected ? 'content' : 'browser' });
+  } else if (extensionType) {
+    Object.assign(result, { type: extensionType, source: 'extension' });
+  } else if (browserType) {
+    Object.assign(result, { type: browserType, source: 'browser' });
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  EXTENSION_TYPES,
+  typeFromExtension,
+  detectMimeType
+};
@@ -0,0 +1,180 @@
+const { sleep } = require('./retry');
+
+/**
+ * Send-rate limits shared by every send in the process
+ *
+ * Messages (recipients) per second and per minute are limited across all sends,
+ * and recipient domains listed in SEND_DOMAIN_LIMITS (gmail.com, outlook.com,
+ * ...) get their own limits on top. Limits are sliding windows; a send waits
+ * until its whole batch fits. Waiters are served first come, first served.
+ *
+ *   SEND_RATE_PER_SECOND=50
+ *   SEND_RATE_PER_MINUTE=2000
+ *   SEND_DOMAIN_LIMITS=gmail.com=20/s,outlook.com=600/m,hotmail.com=600/m
+ *
+ * Unset limits are unlimited.
+ */
+
+const UNITS = {
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  minute: 60 * 1000
+};
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Value
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Parse per-domain limits ("gmail.com=20/s,outlook.com=600/m")
+ * @param {string} value - Limit list
+ * @returns {Object} Limit ({ max, interval }) by lowercased domain
+ */
+function parseDomainLimits(value) {
+  const limits = {};
+  String(value || '').split(/[,;\n]/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([^=\s]+)\s*=\s*(\d+)\s*\/\s*([a-z]+)$/i);
+    const interval = match && UNITS[match[3].toLowerCase()];
+    if (!match || !interval || parseInt(match[2], 10) < 1) {
+      throw new Error(`Invalid SEND_DOMAIN_LIMITS entry "${entry}": use domain=count/s or domain=count/m`);
+    }
+    limits[match[1].toLowerCase()] = { max: parseInt(match[2], 10), interval };
+  });
+  return limits;
+}
+
+const DEFAULT_OPTIONS = {
+  perSecond: envInt('SEND_RATE_PER_SECOND', null),
+  perMinute: envInt('SEND_RATE_PER_MINUTE', null),
+  // Batch requests in flight at once per bulk send
+  concurrency: envInt('SEND_CONCURRENCY', 2),
+  // Recipients per request (SendGrid allows up to 1000 personalizations)
+  batchSize: envInt('SEND_BATCH_SIZE', 100),
+  domains: parseDomainLimits(process.env.SEND_DOMAIN_LIMITS)
+};
+
+/**
+ * Create a sliding-window rate limiter
+ * @param {Array<{max: number, interval: number}>} windows - At most `max` units per `interval` ms
+ * @returns {Object} Limiter with acquire(count) and maxBurst
+ */
+function createRateLimiter(windows) {
+  const longest = Math.max(0, ...windows.map(window => window.interval));
+  const log = []; // { time, count }, oldest first
+  let queue = Promise.resolve();
+
+  // Time to wait before `count` more units fit into every window
+  function waitTime(count, now) {
+    while (log.length > 0 && log[0].time <= now - longest) {
+      log.shift();
+    }
+
+    let wait = 0;
+    windows.forEach(({ max, interval }) => {
+      let used = log.reduce((sum, entry) => entry.time > now - interval ? sum + entry.count : sum, 0);
+      // Entries leave the window oldest first; wait until enough have left
+      for (const entry of log) {
+        if (used + count <= max) break;
+        if (entry.time <= now - interval) continue;
+        used -= entry.count;
+        wait = Math.max(wait, entry.time + interval - now);
+      }
+    });
+    return wait;
+  }
+
+  return {
+    // Largest batch that can ever fit
+    maxBurst: windows.length > 0 ? Math.min(...windows.map(window => window.max)) : Infinity,
+
+    /**
+     * Wait until `count` units may be used, then use them
+     * @param {number} count - Units (messages) to send
+     * @returns {Promise<number>} Milliseconds waited
+     */
+    acquire(count = 1) {
+      const started = Date.now();
+      const turn = queue.then(async () => {
+        let wait;
+        while ((wait = waitTime(count, Date.now())) > 0) {
+          await sleep(wait);
+        }
+        log.push({ time: Date.now(), count });
+        return Date.now() - started;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
+
+const globalLimiter = createRateLimiter([
+  DEFAULT_OPTIONS.perSecond && { max: DEFAULT_OPTIONS.perSecond, interval: UNITS.s },
+  DEFAULT_OPTIONS.perMinute && { max: DEFAULT_OPTIONS.perMinute, interval: UNITS.m }
+].filter(Boolean));
+
+const domainLimiters = new Map(Object.keys(DEFAULT_OPTIONS.domains)
+  .map(domain => [domain, createRateLimiter([DEFAULT_OPTIONS.domains[domain]])]));
+
+/**
+ * Throttling group of an address: its domain when that domain has its own
+ * limit, otherwise '' (only the global limits apply)
+ * @param {string} email - Recipient address
+ * @returns {string} Group key
+ */
+function throttleGroup(email) {
+  const domain = String(email || '').split('@').pop().trim().toLowerCase();
+  return domainLimiters.has(domain) ? domain : '';
+}
+
+/**
+ * Largest batch a throttling group can send in one request
+ * @param {string} group - Group key from throttleGroup
+ * @returns {number} Recipients
+ */
+function maxBatchSize(group) {
+  const domainLimiter = domainLimiters.get(group);
+  return Math.min(globalLimiter.maxBurst, domainLimiter ? domainLimiter.maxBurst : Infinity);
+}
+
+/**
+ * Wait until messages to these recipients may be sent under the global and
+ * per-domain limits
+ * @param {string[]} emails - Recipient addresses of one request
+ * @returns {Promise<number>} Milliseconds waited
+ */
+async function acquireSendSlots(emails) {
+  const started = Date.now();
+  const byDomain = new Map();
+  emails.forEach(email => {
+    const group = throttleGroup(email);
+    if (group) {
+      byDomain.set(group, (byDomain.get(group) || 0) + 1);
+    }
+  });
+
+  for (const [domain, count] of byDomain) {
+    await domainLimiters.get(domain).acquire(count);
+  }
+  await globalLimiter.acquire(emails.length);
+  return Date.now() - started;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createRateLimiter,
+  parseDomainLimits,
+  throttleGroup,
+  maxBatchSize,
+  acquireSendSlots
+};
@@ -0,0 +1,162 @@
+/**
+ * Retry helpers for transport calls
+ *
+ * 429 and 5xx responses (and transient network / SMTP 4xx errors) are retried
+ * with exponential backoff and jitter. Other 4xx responses are validation
+ * errors and fail straight away.
+ */
+
+// Network error codes worth another attempt
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ESOCKET', 'ECONNECTION'];
+
+const DEFAULT_OPTIONS = {
+  retries: parseInt(process.env.SEND_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.SEND_MAX_RETRIES, 10) : 3,
+  baseDelay: parseInt(process.env.SEND_RETRY_BASE_MS, 10) || 1000,
+  maxDelay: parseInt(process.env.SEND_RETRY_MAX_MS, 10) || 30000,
+  // Give up rather than wait longer than this for a Retry-After
+  maxRetryAfter: parseInt(process.env.SEND_RETRY_AFTER_MAX_MS, 10) || 5 * 60 * 1000
+};
+
+/**
+ * Get the HTTP status of a transport error
+ * @param {Error} error - Error thrown by a transport
+ * @returns {number|undefined} HTTP status code
+ */
+function getStatusCode(error) {
+  if (typeof error.code === 'number') {
+    return error.code;
+  }
+  if (error.response && typeof error.response.statusCode === 'number') {
+    return error.response.statusCode;
+  }
+  return undefined;
+}
+
+/**
+ * Decide whether a failed send should be attempted again
+ * @param {Error} error - Error thrown by a transport
+ * @returns {boolean} True for rate limits, server errors and transient failures
+ */
+function isRetryableError(error) {
+  const statusCode = getStatusCode(error);
+  if (statusCode !== undefined) {
+    return statusCode === 429 || statusCode >= 500;
+  }
+
+  // SMTP: 4xx replies are temporary, 5xx are permanent
+  if (typeof error.responseCode === 'number') {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Read how long the server asked us to wait before retrying
+ * Supports Retry-After (seconds or HTTP date) and X-RateLimit-Reset (epoch seconds).
+ * @param {Error} error - Error thrown by a transport
+ * @returns {number|undefined} Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response && error.response.headers;
+  if (!headers) return undefined;
+
+  const header = name => {
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? String(headers[key]) : undefined;
+  };
+
+  const retryAfter = header('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const reset = Number(header('x-ratelimit-reset'));
+  if (reset) {
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+
+  return undefined;
+}
+
+/**
+ * Exponential backoff with equal jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - Backoff options (baseDelay, maxDelay)
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, options) {
+  const delay = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async function, retrying retryable errors
+ * Resolves to `{ result, attempts, attemptErrors }`. On final failure the thrown
+ * error carries `attempts`, `attemptErrors` and `retryable`.
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - Retry options (retries, baseDelay, maxDelay, maxRetryAfter)
+ * @param {Function} options.onRetry - Optional callback ({ attempt, error, delay }) before waiting
+ * @returns {Promise<Object>} Result with attempt count and errors from failed attempts
+ */
+async function withRetry(fn, options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const attemptErrors = [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      return { result, attempts: attempt, attemptErrors };
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      const retryAfter = getRetryAfterMs(error);
+      const canRetry = retryable && attempt <= settings.retries &&
+        (retryAfter === undefined || retryAfter <= settings.maxRetryAfter);
+      const delay = canRetry ? Math.max(computeBackoff(attempt, settings), retryAfter || 0) : undefined;
+
+      attemptErrors.push({
+        attempt,
+        error: error.message,
+        code: getStatusCode(error) || error.responseCode || error.code,
+        retryAfter,
+        delay
+      });
+
+      if (!canRetry) {
+        error.attempts = attempt;
+        error.attemptErrors = attemptErrors;
+        error.retryable = retryable;
+        throw error;
+      }
+
+      if (settings.onRetry) {
+        settings.onRetry({ attempt, error, delay });
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoff,
+  withRetry,
+  sleep
+};
@@ -0,0 +1,116 @@
+/**
+ * Send tags: campaign, template and free-form labels
+ *
+ * Tags go out with every message as SendGrid categories (for the Statistics
+ * pages) and custom args (echoed back in Event Webhook events), so results can
+ * be split by campaign. SendGrid allows at most 10 categories of 255
+ * characters each per message, and 10,000 bytes of custom args.
+ *
+ * Categories: "campaign:<name>", "template:<name>" and each label as is.
+ * Custom args: campaign, template and labels (comma separated), next to the
+ * send_id and variant args that link events to the send history.
+ */
+
+const MAX_CATEGORIES = 10;
+const MAX_CATEGORY_LENGTH = 255;
+const MAX_CUSTOM_ARGS_SIZE = 10000;
+
+// Stand-ins for the args added per send when checking the custom args size
+const RESERVED_ARGS = { send_id: '00000000-0000-0000-0000-000000000000', variant: 'A' };
+
+/**
+ * Split a label list given as a JSON array, an array or comma/newline separated text
+ * @param {string|string[]} value - Labels
+ * @returns {string[]} Trimmed labels, duplicates (ignoring case) removed
+ */
+function parseLabels(value) {
+  let list = value;
+  if (typeof list === 'string' && list.trim().startsWith('[')) {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      // Not JSON after all: a label starting with "["
+    }
+  }
+  if (!Array.isArray(list)) {
+    list = String(list || '').split(/[,\n]/);
+  }
+
+  const seen = new Set();
+  return list
+    .map(label => String(label).trim())
+    .filter(label => {
+      const key = label.toLowerCase();
+      if (!label || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * SendGrid categories for a send's tags
+ * @param {Object} tags - Result of parseTags
+ * @returns {string[]} Categories
+ */
+function tagCategories(tags) {
+  if (!tags) return [];
+  return [
+    tags.campaign && `campaign:${tags.campaign}`,
+    tags.template && `template:${tags.template}`
+  ].filter(Boolean).concat(tags.labels || []);
+}
+
+/**
+ * SendGrid custom args for a send's tags
+ * @param {Object} tags - Result of parseTags
+ * @returns {Object} Custom args (string values); empty tags are left out
+ */
+function tagCustomArgs(tags) {
+  const args = {};
+  if (!tags) return args;
+  if (tags.campaign) args.campaign = tags.campaign;
+  if (tags.template) args.template = tags.template;
+  if (tags.labels && tags.labels.length > 0) args.labels = tags.labels.join(',');
+  return args;
+}
+
+/**
+ * Read and check the tags of a send request
+ * @param {Object} body - Request body
+ * @param {string} body.campaign - Campaign name
+ * @param {string|string[]} body.labels - Free-form labels
+ * @param {string} template - Template name of the send, if any
+ * @returns {Object} { tags: { campaign, template, labels } }, or { error } with a message
+ */
+function parseTags(body, template) {
+  const tags = {
+    campaign: String(body.campaign || '').trim() || null,
+    template: String(template || '').trim() || null,
+    labels: parseLabels(body.labels)
+  };
+
+  const categories = tagCategories(tags);
+  if (categories.length > MAX_CATEGORIES) {
+    return { error: `At most ${MAX_CATEGORIES} tags are allowed (campaign, template and labels together); got ${categories.length}` };
+  }
+
+  const tooLong = categories.filter(category => category.length > MAX_CATEGORY_LENGTH);
+  if (tooLong.length > 0) {
+    return { error: `Tags must be at most ${MAX_CATEGORY_LENGTH} characters: ${tooLong.map(category => `"${category.slice(0, 40)}..."`).join(', ')}` };
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(Object.assign(tagCustomArgs(tags), RESERVED_ARGS)), 'utf8');
+  if (size > MAX_CUSTOM_ARGS_SIZE) {
+    return { error: `Tags take ${size} bytes as custom args; SendGrid accepts at most ${MAX_CUSTOM_ARGS_SIZE}` };
+  }
+
+  return { tags };
+}
+
+module.exports = {
+  MAX_CATEGORIES,
+  MAX_CATEGORY_LENGTH,
+  parseTags,
+  tagCategories,
+  tagCustomArgs
+};
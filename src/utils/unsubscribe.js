@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir } = require('./jsonStore');
+const { escapeHtml } = require('./mergeTags');
+
+/**
+ * Signed unsubscribe links.
+ *
+ * Every message gets a per-recipient link, `{{unsubscribe_url}}`, pointing at
+ * the public /unsubscribe route. The link carries the address and an HMAC of
+ * it, so nobody can unsubscribe someone else by editing the URL. The same URL
+ * goes into the List-Unsubscribe header for one-click unsubscribes (RFC 8058).
+ *
+ * The key comes from UNSUBSCRIBE_SECRET; without it one is generated and kept
+ * in the data directory, so links stay valid across restarts.
+ */
+
+// Merge field holding the recipient's link
+const UNSUBSCRIBE_TAG = 'unsubscribe_url';
+
+const SECRET_FILE = dataPath('unsubscribe-secret');
+
+let secret = null;
+
+/**
+ * Signing key for unsubscribe tokens
+ * @returns {string} Secret
+ */
+function getSecret() {
+  if (secret) {
+    return secret;
+  }
+
+  if (process.env.UNSUBSCRIBE_SECRET) {
+    secret = process.env.UNSUBSCRIBE_SECRET;
+  } else if (fs.existsSync(SECRET_FILE)) {
+    secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+  } else {
+    secret = crypto.randomBytes(32).toString('hex');
+    ensureDir(path.dirname(SECRET_FILE));
+    fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+/**
+ * Public base URL of the server, used in links that go out in emails
+ * @returns {string} URL without a trailing slash
+ */
+function publicUrl() {
+  return (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+}
+
+/**
+ * Sign an address
+ * @param {string} email - Recipient address
+ * @returns {string} URL-safe token
+ */
+function signEmail(email) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(String(email).trim().toLowerCase())
+    .digest('base64url');
+}
+
+/**
+ * Check a token from an unsubscribe link
+ * @param {string} email - Address from the link
+ * @param {string} token - Token from the link
+ * @returns {boolean} True when the token was issued for this address
+ */
+function verifyUnsubscribeToken(email, token) {
+  if (!email || !token) {
+    return false;
+  }
+  const expected = Buffer.from(signEmail(email));
+  const actual = Buffer.from(String(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build a recipient's unsubscribe link
+ * @param {string} email - Recipient address
+ * @returns {string} Absolute URL
+ */
+function unsubscribeUrl(email) {
+  const address = String(email).trim();
+  return `${publicUrl()}/unsubscribe?email=${encodeURIComponent(address)}&token=${signEmail(address)}`;
+}
+
+/**
+ * List-Unsubscribe headers for a recipient's message
+ * @param {string} email - Recipient address
+ * @returns {Object} Headers by name
+ */
+function listUnsubscribeHeaders(email) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Add an unsubscribe footer to HTML that does not link {{unsubscribe_url}} itself
+ * @param {string} html - Message HTML
+ * @returns {string} HTML with the link
+ */
+function addUnsubscribeFooter(html) {
+  if (new RegExp(`\\{\\{\\s*${UNSUBSCRIBE_TAG}\\s*\\}\\}`, 'i').test(html)) {
+    return html;
+  }
+
+  const footer = `<p style="font-size:12px;color:#888888;text-align:center;">Don't want these emails? <a href="{{${UNSUBSCRIBE_TAG}}}">Unsubscribe</a></p>`;
+  const bodyEnd = html.search(/<\/body\s*>/i);
+  return bodyEnd === -1
+    ? `${html}\n${footer}`
+    : `${html.slice(0, bodyEnd)}${footer}\n${html.slice(bodyEnd)}`;
+}
+
+/**
+ * Add the unsubscribe link to a hand-written plain-text part
+ * @param {string} text - Plain-text part
+ * @returns {string} Text with the link
+ */
+function addUnsubscribeText(text) {
+  if (new RegExp(`\\{\\{\\s*${UNSUBSCRIBE_TAG}\\s*\\}\\}`, 'i').test(text)) {
+    return text;
+  }
+  return `${text}\n\nUnsubscribe: {{${UNSUBSCRIBE_TAG}}}`;
+}
+
+/**
+ * Minimal HTML page for the public unsubscribe route
+ * @param {Object} page - Page content
+ * @param {string} page.title - Heading
+ * @param {string} page.message - Paragraph text
+ * @param {string} page.action - Form target; adds a confirm button when set
+ * @returns {string} HTML document
+ */
+function renderUnsubscribePage({ title, message, action }) {
+  const form = action
+    ? `<form method="POST" action="${escapeHtml(action)}"><button type="submit">Unsubscribe</button></form>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f7fa; color: #333; }
+    main { max-width: 480px; margin: 80px auto; padding: 32px; background: #fff; border-radius: 8px; text-align: center; box-shadow: 0 2px 8px rgba(0,0,0,0.08); }
+    button { padding: 10px 24px; border: none; border-radius: 6px; background: #667eea; color: #fff; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${form}
+  </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  UNSUBSCRIBE_TAG,
+  unsubscribeUrl,
+  verifyUnsubscribeToken,
+  listUnsubscribeHeaders,
+  addUnsubscribeFooter,
+  addUnsubscribeText,
+  renderUnsubscribePage
+};